@@ -0,0 +1,109 @@
+/**
+ * In-memory capture of log entries for tests.
+ *
+ * A capture sink is a transport that keeps every entry it receives, with helpers for finding
+ * entries by level or message and asserting that something was logged.
+ */
+
+const assert = require('node:assert');
+
+/**
+ * Checks whether a message matches a string (substring) or regular expression.
+ * @private
+ * @param {string} message - Logged message
+ * @param {string|RegExp} pattern - Pattern to match
+ * @returns {boolean} Whether the message matches
+ */
+function matches(message, pattern) {
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(message);
+  }
+  return String(message).includes(pattern);
+}
+
+/**
+ * Creates a sink that keeps the entries written to it in memory.
+ * @param {Object} [options] - Sink options
+ * @param {string} [options.name='capture'] - Transport name, usable in the transports flag
+ * @param {string|number} [options.level] - Least severe level captured (default TRACE)
+ * @returns {Object} Capture sink, to be passed in the `transports` option
+ */
+function createCaptureSink({ name = 'capture', level } = {}) {
+  const entries = [];
+
+  const byLevel = (levelNameOrNumber) => entries.filter(entry => typeof levelNameOrNumber === 'number'
+    ? entry.levelNumber === levelNameOrNumber
+    : entry.level === String(levelNameOrNumber).toLowerCase());
+
+  return {
+    name,
+    level,
+    entries,
+
+    write(entry) {
+      entries.push(entry);
+    },
+
+    /**
+     * Returns the captured entries at a level.
+     * @param {string|number} levelNameOrNumber - Level name or number
+     * @returns {Array<Object>} Matching entries, oldest first
+     */
+    byLevel,
+
+    /**
+     * Returns the captured messages, optionally only those at a level.
+     * @param {string|number} [levelNameOrNumber] - Level name or number
+     * @returns {Array<string>} Messages, oldest first
+     */
+    messages(levelNameOrNumber) {
+      const selected = levelNameOrNumber === undefined ? entries : byLevel(levelNameOrNumber);
+      return selected.map(entry => entry.message);
+    },
+
+    /**
+     * Returns the first captured entry whose message matches.
+     * @param {string|RegExp} pattern - Substring or regular expression
+     * @returns {Object|undefined} Matching entry
+     */
+    find(pattern) {
+      return entries.find(entry => matches(entry.message, pattern));
+    },
+
+    /**
+     * Asserts that an entry was logged at a level, optionally with a matching message.
+     * @param {string|number} levelNameOrNumber - Level name or number
+     * @param {string|RegExp} [pattern] - Substring or regular expression the message must match
+     * @returns {Object} The matching entry
+     */
+    assertLogged(levelNameOrNumber, pattern) {
+      const entry = byLevel(levelNameOrNumber)
+        .find(candidate => pattern === undefined || matches(candidate.message, pattern));
+      assert.ok(entry, `Expected a ${levelNameOrNumber} entry${pattern === undefined ? '' : ` matching ${pattern}`}, ` +
+        `captured: ${JSON.stringify(entries.map(({ level: entryLevel, message }) => `${entryLevel}: ${message}`))}`);
+      return entry;
+    },
+
+    /**
+     * Asserts that nothing was logged at a level.
+     * @param {string|number} levelNameOrNumber - Level name or number
+     */
+    assertNotLogged(levelNameOrNumber) {
+      const found = byLevel(levelNameOrNumber);
+      assert.equal(found.length, 0, `Expected no ${levelNameOrNumber} entries, captured: ` +
+        JSON.stringify(found.map(entry => entry.message)));
+    },
+
+    /**
+     * Removes all captured entries.
+     */
+    clear() {
+      entries.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createCaptureSink
+};
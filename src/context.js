@@ -0,0 +1,251 @@
+/**
+ * LaunchDarkly context extraction from Lambda events.
+ *
+ * Builds a multi-context from the event that triggered an invocation:
+ * - service: The function itself, from options or the Lambda environment
+ * - user: The caller, from API Gateway authorizer claims or ALB OIDC data, when there is one
+ * - request: The request or message, with its event source and source-specific attributes
+ *
+ * Recognized event sources are API Gateway REST (v1) and HTTP (v2) APIs, ALB, SQS, SNS,
+ * EventBridge, DynamoDB Streams and S3. Personal data such as emails and IP addresses is
+ * marked as private so it isn't sent to LaunchDarkly.
+ */
+
+const { getHeaders } = require('./trace');
+
+/**
+ * Default mapping of user context attributes to claim names. The first claim present is used.
+ */
+const DEFAULT_USER_ATTRIBUTES = {
+  key: ['sub', 'principalId', 'cognito:username', 'username'],
+  email: 'email',
+  name: ['name', 'cognito:username', 'username']
+};
+
+/**
+ * Attributes marked as private by default, per context kind.
+ */
+const DEFAULT_PRIVATE_ATTRIBUTES = {
+  user: ['email', 'name'],
+  request: ['ip', 'objectKey']
+};
+
+/**
+ * Gets a value from an object by a dot-separated path.
+ * @private
+ * @param {Object} value - Object to read from
+ * @param {string} path - Dot-separated path, e.g. 'requestContext.stage'
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(value, path) {
+  return String(path).split('.').reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Gets the name of a resource from its ARN, e.g. the queue name of an SQS queue ARN.
+ * @private
+ * @param {string} arn - Resource ARN
+ * @returns {string|undefined} Resource name
+ */
+function getArnResourceName(arn) {
+  if (typeof arn !== 'string') return undefined;
+  const resource = arn.split(':').slice(5).join(':');
+  return resource.replace(/^table\//, '').replace(/\/stream\/.*$/, '') || undefined;
+}
+
+/**
+ * Decodes the claims of a JWT without verifying it. Only used for tokens already verified
+ * by AWS, such as the OIDC data header added by ALB authentication.
+ * @private
+ * @param {string} token - JWT
+ * @returns {Object|undefined} Claims
+ */
+function decodeJwtClaims(token) {
+  try {
+    return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Identifies the source of a Lambda event and reads its request attributes and caller claims.
+ * @private
+ * @param {Object} event - Lambda event
+ * @returns {{source: string, request: Object, claims: Object|undefined}|null} Event details,
+ *   or null for unrecognized events
+ */
+function describeEvent(event) {
+  if (!event || typeof event !== 'object') return null;
+  const requestContext = event.requestContext || {};
+
+  if (event.version === '2.0' && requestContext.http) {
+    const authorizer = requestContext.authorizer || {};
+    return {
+      source: 'apigateway-http',
+      request: {
+        key: requestContext.requestId,
+        method: requestContext.http.method,
+        path: event.rawPath || requestContext.http.path,
+        ip: requestContext.http.sourceIp,
+        userAgent: requestContext.http.userAgent
+      },
+      claims: authorizer.jwt?.claims || authorizer.lambda
+    };
+  }
+
+  if (requestContext.elb) {
+    const headers = getHeaders(event);
+    return {
+      source: 'alb',
+      request: {
+        key: headers['x-amzn-trace-id'],
+        method: event.httpMethod,
+        path: event.path,
+        ip: headers['x-forwarded-for']?.split(',')[0].trim(),
+        userAgent: headers['user-agent']
+      },
+      claims: headers['x-amzn-oidc-data'] ? decodeJwtClaims(headers['x-amzn-oidc-data']) : undefined
+    };
+  }
+
+  if (event.httpMethod && requestContext.requestId) {
+    const authorizer = requestContext.authorizer;
+    return {
+      source: 'apigateway-rest',
+      request: {
+        key: requestContext.requestId,
+        method: event.httpMethod,
+        path: event.path,
+        ip: requestContext.identity?.sourceIp,
+        userAgent: requestContext.identity?.userAgent
+      },
+      claims: authorizer?.claims || authorizer
+    };
+  }
+
+  if (event.source && event['detail-type']) {
+    return {
+      source: 'eventbridge',
+      request: { key: event.id, eventSource: event.source, detailType: event['detail-type'] }
+    };
+  }
+
+  const [record] = Array.isArray(event.Records) ? event.Records : [];
+  const recordCount = event.Records?.length;
+  switch (record?.eventSource || record?.EventSource) {
+    case 'aws:sqs':
+      return {
+        source: 'sqs',
+        request: { key: record.messageId, queue: getArnResourceName(record.eventSourceARN), recordCount }
+      };
+    case 'aws:sns':
+      return {
+        source: 'sns',
+        request: {
+          key: record.Sns?.MessageId,
+          topic: getArnResourceName(record.Sns?.TopicArn || record.EventSubscriptionArn),
+          recordCount
+        }
+      };
+    case 'aws:dynamodb':
+      return {
+        source: 'dynamodb',
+        request: {
+          key: record.eventID,
+          table: getArnResourceName(record.eventSourceARN),
+          eventName: record.eventName,
+          recordCount
+        }
+      };
+    case 'aws:s3':
+      return {
+        source: 's3',
+        request: {
+          key: record.responseElements?.['x-amz-request-id'] || `${record.s3?.bucket?.name}/${record.s3?.object?.key}`,
+          bucket: record.s3?.bucket?.name,
+          objectKey: record.s3?.object?.key,
+          eventName: record.eventName,
+          recordCount
+        }
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Removes undefined attributes and marks the present ones that are private.
+ * @private
+ * @param {Object} context - Single-kind context
+ * @param {Array<string>} privateAttributes - Attributes to mark as private
+ * @returns {Object} Cleaned context
+ */
+function finishContext(context, privateAttributes = []) {
+  const result = {};
+  for (const [name, value] of Object.entries(context)) {
+    if (value !== undefined && value !== null && value !== '') result[name] = value;
+  }
+  const present = privateAttributes.filter(name => name in result && name !== 'key');
+  if (present.length) {
+    result._meta = { privateAttributes: present };
+  }
+  return result;
+}
+
+/**
+ * Builds a LaunchDarkly multi-context from a Lambda event.
+ * @param {Object} event - Lambda event
+ * @param {Object} [options] - Extraction options
+ * @param {Object} [options.service] - Service context attributes, e.g. `{ key, name, environment }`;
+ *   the key defaults to the function name
+ * @param {Object} [options.attributes] - Attribute mapping per kind. `user` maps user attributes to
+ *   claim names (a name or a list of candidates, the first present is used), merged with the defaults.
+ *   `request` maps request attributes to dot-separated paths in the event, e.g. `{ stage: 'requestContext.stage' }`
+ * @param {Object} [options.privateAttributes] - Private attributes per kind, replacing the defaults
+ *   `{ user: ['email', 'name'], request: ['ip', 'objectKey'] }`
+ * @returns {Object} Multi-context with `service`, `request` for recognized events, and `user` when
+ *   the caller is known
+ */
+function createContextFromEvent(event, { service = {}, attributes = {}, privateAttributes = {} } = {}) {
+  const privateByKind = { ...DEFAULT_PRIVATE_ATTRIBUTES, ...privateAttributes };
+  const context = {
+    kind: 'multi',
+    service: finishContext({
+      key: process.env.AWS_LAMBDA_FUNCTION_NAME || 'default-service',
+      ...service,
+      kind: 'service'
+    }, privateByKind.service)
+  };
+
+  const description = describeEvent(event);
+  if (!description) return context;
+
+  const request = { kind: 'request', source: description.source, ...description.request };
+  for (const [name, path] of Object.entries(attributes.request || {})) {
+    request[name] = getPath(event, path);
+  }
+  request.key = request.key || `${description.source}-request`;
+  context.request = finishContext(request, privateByKind.request);
+
+  const claims = description.claims;
+  if (claims && typeof claims === 'object') {
+    const user = { kind: 'user' };
+    for (const [name, claimNames] of Object.entries({ ...DEFAULT_USER_ATTRIBUTES, ...attributes.user })) {
+      const claimName = [].concat(claimNames).find(candidate => claims[candidate] != null);
+      if (claimName) user[name] = claims[claimName];
+    }
+    if (user.key != null) {
+      user.key = String(user.key);
+      context.user = finishContext(user, privateByKind.user);
+    }
+  }
+
+  return context;
+}
+
+module.exports = {
+  DEFAULT_PRIVATE_ATTRIBUTES,
+  DEFAULT_USER_ATTRIBUTES,
+  createContextFromEvent
+};
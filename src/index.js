@@ -8,6 +8,12 @@
  * Environment Variables:
  * - LD_LOG_LEVEL_FLAG_KEY: LaunchDarkly feature flag key used to control log level
  * - LD_SDK_LOG_LEVEL_FLAG_KEY: LaunchDarkly feature flag key used to control SDK log level
+ * - LD_DEBUG_BUFFER_FLAG_KEY: LaunchDarkly feature flag key used to configure the debug buffer
+ * - LD_REDACTION_FLAG_KEY: LaunchDarkly feature flag key used to add redaction rules
+ * - LD_LIMITS_FLAG_KEY: LaunchDarkly feature flag key used to override entry size limits
+ * - LD_TRANSPORTS_FLAG_KEY: LaunchDarkly feature flag key used to enable or disable named transports
+ * - LD_TIMERS_FLAG_KEY: LaunchDarkly feature flag key used to set slow thresholds of timers
+ * - LOG_LEVEL: Level used until LaunchDarkly is ready, and when the log level flag is invalid
  * 
  * Log Levels (0-5):
  * - FATAL (0): Unrecoverable errors requiring immediate attention
@@ -16,10 +22,17 @@
  * - INFO (3): General operational messages
  * - DEBUG (4): Detailed information for debugging
  * - TRACE (5): Very detailed debugging information
+ * Custom levels ranked among these can be declared per logger with the `levels` option.
  */
 
+const { AsyncLocalStorage } = require('node:async_hooks');
 const LaunchDarkly = require('@launchdarkly/node-server-sdk');
 const winston = require('winston');
+const { createCaptureSink } = require('./capture');
+const { createContextFromEvent } = require('./context');
+const { DEFAULT_REDACTION_RULES, createRedactor } = require('./redact');
+const { isError, limitEntrySize, toSerializable } = require('./serialize');
+const { createTraceHeaders, extractTraceContext } = require('./trace');
 
 /**
  * Enumeration of available log levels in order of increasing verbosity.
@@ -35,6 +48,205 @@ const LogLevel = {
   TRACE: 5
 };
 
+/**
+ * Supported output formats.
+ * - PRETTY: Human readable `timestamp emoji LEVEL: message` lines
+ * - JSON: One JSON object per line, suitable for CloudWatch Logs Insights
+ */
+const OutputFormat = {
+  PRETTY: 'pretty',
+  JSON: 'json'
+};
+
+/**
+ * Emoji indicators for each log level, used by the pretty output format.
+ */
+const LEVEL_EMOJI = {
+  fatal: '💀',
+  error: '🔴',
+  warn: '🟡',
+  info: '🔵',
+  debug: '⚪',
+  trace: '🟣'
+};
+
+/**
+ * Definitions of the built-in levels by name. Custom levels given to the constructor are added
+ * to these per logger.
+ */
+const BUILT_IN_LEVELS = Object.fromEntries(Object.entries(LogLevel).map(([name, rank]) => [
+  name.toLowerCase(),
+  { rank, emoji: LEVEL_EMOJI[name.toLowerCase()], label: name, alwaysLog: false }
+]));
+
+/**
+ * Emoji used by the pretty output format for custom levels that don't set one.
+ */
+const DEFAULT_CUSTOM_LEVEL_EMOJI = '🔷';
+
+/**
+ * Pattern custom level names must match, since they become method names.
+ */
+const LEVEL_NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Names custom levels can't use besides the logger's methods: the properties loggers assign,
+ * some of them only once initialized, and `log`, which Winston reserves.
+ */
+const RESERVED_LEVEL_NAMES = [
+  'bindings', 'context', 'contextStorage', 'debugBufferOptions', 'defaultContext', 'degraded',
+  'fallbackLogLevel', 'flagState', 'initializeDefaults', 'ldClient', 'levelCacheTtlMs',
+  'levelChangeState', 'levelDefinitions', 'limits', 'log', 'logger', 'metricsOptions', 'metricsState',
+  'moduleName', 'outputFormat', 'redactionRules', 'redactionState', 'redactor', 'sdkLogState',
+  'sharedDebugBuffer', 'sinks', 'timerOptions', 'timerState', 'transportState', 'winstonTransports'
+];
+
+/**
+ * Keys written by the logger itself in JSON output. Structured fields using one of
+ * these names are prefixed with an underscore so they can't overwrite them.
+ */
+const RESERVED_FIELDS = ['timestamp', 'level', 'levelNumber', 'message', 'service', 'error', 'errors'];
+
+/**
+ * Initialization options consumed by the logger. These are removed before the
+ * remaining options are passed on to LaunchDarkly.init.
+ */
+const LOGGER_OPTIONS = [
+  'logLevelFlagKey',
+  'sdkLogLevelFlagKey',
+  'outputFormat',
+  'levelCacheTtlMs',
+  'fallbackLogLevel',
+  'debugBuffer',
+  'debugBufferFlagKey',
+  'redaction',
+  'redactionFlagKey',
+  'limits',
+  'limitsFlagKey',
+  'transports',
+  'transportsFlagKey',
+  'offline',
+  'flagFile',
+  'initTimeoutMs',
+  'metrics',
+  'timers',
+  'timersFlagKey'
+];
+
+/**
+ * Flag key options that can also be given to the constructor or createLogger.
+ */
+const FLAG_KEY_OPTIONS = [
+  'logLevelFlagKey',
+  'sdkLogLevelFlagKey',
+  'debugBufferFlagKey',
+  'redactionFlagKey',
+  'limitsFlagKey',
+  'transportsFlagKey',
+  'timersFlagKey'
+];
+
+/**
+ * Default maximum age of cached flag values such as the log level. Flag changes are normally
+ * picked up from LaunchDarkly update events; this is a safety net in case one is missed.
+ */
+const DEFAULT_LEVEL_CACHE_TTL_MS = 60000;
+
+/**
+ * Default time to wait for the LaunchDarkly client before logging in degraded mode.
+ */
+const DEFAULT_INIT_TIMEOUT_MS = 2000;
+
+/**
+ * Default time flush waits for transports to finish writing.
+ */
+const DEFAULT_FLUSH_TIMEOUT_MS = 2000;
+
+/**
+ * Interval at which flush checks whether transports have finished writing.
+ */
+const FLUSH_POLL_INTERVAL_MS = 10;
+
+/**
+ * Default fraction of the remaining invocation time after which withLogger warns that the
+ * invocation is approaching its timeout.
+ */
+const DEFAULT_TIMEOUT_WARNING_FRACTION = 0.8;
+
+/**
+ * LaunchDarkly SDK log levels in order of increasing severity. 'none' disables SDK messages.
+ */
+const SDK_LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'none'];
+
+/**
+ * SDK log level used until the SDK log level flag has been evaluated.
+ */
+const DEFAULT_SDK_LOG_LEVEL = 'warn';
+
+/**
+ * Defaults for the CloudWatch Embedded Metric Format counters.
+ */
+const DEFAULT_METRICS_OPTIONS = {
+  eventField: 'event',
+  dimensions: ['environment'],
+  write: line => process.stdout.write(`${line}\n`)
+};
+
+/**
+ * Maximum number of metrics in an EMF directive; CloudWatch rejects directives with more.
+ */
+const MAX_EMF_METRICS = 100;
+
+/**
+ * Prefix of event metric names, which keeps them apart from the level counts and EMF keys.
+ */
+const EVENT_METRIC_PREFIX = 'Event.';
+
+/**
+ * Level timers are logged at unless the timers option sets another.
+ */
+const DEFAULT_TIMER_LEVEL = 'debug';
+
+/**
+ * Default number of suppressed entries kept by the debug buffer.
+ */
+const DEFAULT_DEBUG_BUFFER_SIZE = 100;
+
+/**
+ * Default size limits for log entries. Strings longer than maxFieldLength characters are
+ * truncated, and entries are kept below CloudWatch's 256 KB event limit with room to spare
+ * for the timestamp and level.
+ */
+const DEFAULT_LIMITS = {
+  maxFieldLength: 16384,
+  maxEntrySize: 255 * 1024
+};
+
+/**
+ * Cache key used for flags evaluated without a context.
+ */
+const NO_CONTEXT = {};
+
+/**
+ * Maximum number of contexts whose last log level flag value is remembered for change detection.
+ */
+const MAX_OBSERVED_CONTEXTS = 1000;
+
+/**
+ * SDK key used for clients that never connect to LaunchDarkly.
+ */
+const OFFLINE_SDK_KEY = 'offline-sdk-key';
+
+/**
+ * Defaults used by Logger.createForTesting.
+ */
+const TEST_LOG_LEVEL_FLAG_KEY = 'log-level';
+const TEST_CONTEXT = {
+  kind: 'multi',
+  service: { key: 'test-service', name: 'Test Service' },
+  user: { key: 'test-user' }
+};
+
 /**
  * A logging utility for AWS Lambda that integrates with LaunchDarkly for dynamic log level control.
  * Provides emoji-enhanced console logging with multiple severity levels.
@@ -44,49 +256,210 @@ class Logger {
    * Creates a new Logger instance.
    * The logger starts uninitiated and must be initialized with a LaunchDarkly SDK key
    * and context before use.
+   * @param {Object} options - Configuration options
+   * @param {string} options.outputFormat - Output format, either 'pretty' (default) or 'json'
+   * @param {number} options.levelCacheTtlMs - Maximum age of a cached log level in milliseconds
+   * @param {number|string} options.fallbackLogLevel - Level used until LaunchDarkly is ready and when the
+   *   flag value is not a valid level; defaults to the LOG_LEVEL environment variable, then INFO
+   * @param {boolean|Object} options.debugBuffer - Keeps suppressed entries and writes them out on errors,
+   *   either `true` or `{ size, triggerLevel }`
+   * @param {boolean|Object} options.redaction - Redaction rules `{ paths, keys, values, defaults }`,
+   *   or false to disable the built-in rules
+   * @param {Object} options.limits - Entry size limits `{ maxFieldLength, maxEntrySize }`
+   * @param {Array<Object>} options.transports - Additional Winston transports or `{ name, level, write(entry) }` sinks
+   * @param {boolean|Object} options.metrics - Counts entries per level and event as CloudWatch metrics,
+   *   either `true` or `{ namespace, dimensions, eventField, write }`
+   * @param {Object} options.timers - Timer settings `{ level, thresholds }`
+   * @param {string} options.logLevelFlagKey - Log level flag key used by initialize, taking precedence
+   *   over LD_LOG_LEVEL_FLAG_KEY; the other flag key options of initialize can be given here as well
+   * @param {Object} options.context - LaunchDarkly context used by initialize when it is not passed one
+   * @param {Object} options.levels - Custom levels by name, each `{ rank, emoji, label, alwaysLog }`;
+   *   a method of the same name is added to the logger for each
    */
-  constructor() {
+  constructor(options = {}) {
     this.ldClient = null;
     this.FLAG_KEY = null;
+    this.bindings = {};
+    this.contextStorage = new AsyncLocalStorage();
+    this.flagState = { client: null, cache: new WeakMap(), versions: new Map(), listeners: new Map(), warnings: new Set() };
+    this.levelCacheTtlMs = options.levelCacheTtlMs ?? DEFAULT_LEVEL_CACHE_TTL_MS;
+    this.setLevels(options.levels);
+    this.setFallbackLogLevel(options.fallbackLogLevel ?? getEnvLogLevel(this.levelDefinitions));
+    this.degraded = false;
+    this.sdkLogState = { level: DEFAULT_SDK_LOG_LEVEL };
+    this.debugBufferOptions = options.debugBuffer || null;
+    this.sharedDebugBuffer = [];
+    this.setRedaction(options.redaction);
+    this.limits = resolveLimits(DEFAULT_LIMITS, options.limits);
+    this.setOutputFormat(options.outputFormat);
     
-    // Initialize Winston logger with custom levels and colors
+    // Initialize a Winston logger of our own with custom levels, leaving Winston's defaults untouched.
+    // Winston's own level is set to the most verbose level since filtering is done by shouldLog.
+    const winstonLevels = Object.fromEntries(
+      Object.entries(this.levelDefinitions).map(([name, { rank }]) => [name, rank])
+    );
     this.logger = winston.createLogger({
-      levels: {
-        fatal: 0,
-        error: 1,
-        warn: 2,
-        info: 3,
-        debug: 4,
-        trace: 5
-      },
+      level: Object.keys(winstonLevels).reduce((most, name) => winstonLevels[name] > winstonLevels[most] ? name : most),
+      levels: winstonLevels,
       format: winston.format.combine(
         winston.format.timestamp(),
-        winston.format.printf(({ level, message, timestamp }) => {
-          const emoji = {
-            fatal: '💀',
-            error: '🔴',
-            warn: '🟡',
-            info: '🔵',
-            debug: '⚪',
-            trace: '🟣'
-          };
-          return `${timestamp} ${emoji[level]} ${level.toUpperCase()}: ${message}`;
-        })
+        winston.format.printf((info) => this.formatEntry(info))
       ),
       transports: [
         new winston.transports.Console()
       ]
     });
+    this.transportState = { flagValue: null, disabled: new Set(), reported: new Set(), pending: new Set() };
+    this.setTransports(options.transports);
+    this.metricsState = { levels: {}, events: {}, pending: false, rejected: new Set(), capped: false };
+    // Audit entries are written by the root logger, without the bound fields of the logger that
+    // happened to evaluate the flag
+    this.levelChangeState = { listeners: new Set(), values: new Map(), root: this };
+    this.setMetrics(options.metrics);
+    this.timerState = { started: new Map() };
+    this.setTimers(options.timers);
+
+    // Flag keys and context given here are used by initialize unless it is passed its own
+    this.initializeDefaults = Object.fromEntries(
+      FLAG_KEY_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]])
+    );
+    this.defaultContext = options.context;
+  }
+
+  /**
+   * Sets the output format used for log entries.
+   * @param {string} [outputFormat='pretty'] - Either 'pretty' or 'json'
+   */
+  setOutputFormat(outputFormat = OutputFormat.PRETTY) {
+    if (!Object.values(OutputFormat).includes(outputFormat)) {
+      throw new Error(`Unsupported outputFormat '${outputFormat}', expected one of: ${Object.values(OutputFormat).join(', ')}`);
+    }
+    this.outputFormat = outputFormat;
+  }
+
+  /**
+   * Sets the custom levels of this logger and adds a log method for each, e.g. `logger.audit()`.
+   * A level's rank places it among the built-in levels (FATAL 0 to TRACE 5), so a rank of 1.5
+   * is logged when the log level is ERROR or more verbose. Levels with `alwaysLog` are written
+   * regardless of the log level. Custom levels can be used by name wherever a level is accepted,
+   * including the log level flag.
+   * @private
+   * @param {Object} [levels={}] - Custom levels by name, each `{ rank, emoji, label, alwaysLog }`
+   */
+  setLevels(levels = {}) {
+    this.levelDefinitions = { ...BUILT_IN_LEVELS };
 
-    // Add colors to Winston
-    winston.addColors({
-      fatal: 'red',
-      error: 'red',
-      warn: 'yellow',
-      info: 'blue',
-      debug: 'gray',
-      trace: 'magenta'
+    for (const [name, definition] of Object.entries(levels)) {
+      if (!LEVEL_NAME_PATTERN.test(name) || name in this || RESERVED_LEVEL_NAMES.includes(name)) {
+        throw new Error(`Invalid custom level name '${name}', it must be an identifier that isn't a logger method, property or built-in level`);
+      }
+      if (typeof definition?.rank !== 'number' || !Number.isFinite(definition.rank)) {
+        throw new Error(`Invalid rank ${JSON.stringify(definition?.rank)} for custom level '${name}', expected a number`);
+      }
+
+      this.levelDefinitions[name] = {
+        rank: definition.rank,
+        emoji: definition.emoji ?? DEFAULT_CUSTOM_LEVEL_EMOJI,
+        label: definition.label ?? name.toUpperCase(),
+        alwaysLog: Boolean(definition.alwaysLog)
+      };
+      this[name] = async function (...args) {
+        await this.logAtLevel(name, args);
+      };
+    }
+  }
+
+  /**
+   * Sets the level used while LaunchDarkly is unavailable and when the log level flag has a
+   * value that is not a valid level.
+   * @param {number|string} [fallbackLogLevel=LogLevel.INFO] - Level number (0-5) or name
+   */
+  setFallbackLogLevel(fallbackLogLevel = LogLevel.INFO) {
+    const parsed = parseLogLevel(fallbackLogLevel, this.levelDefinitions);
+    if (!parsed.valid) {
+      throw new Error(`Invalid fallbackLogLevel ${JSON.stringify(fallbackLogLevel)}, expected a level name or a number from ${LogLevel.FATAL} to ${LogLevel.TRACE}`);
+    }
+    this.fallbackLogLevel = parsed.level;
+  }
+
+  /**
+   * Sets the redaction rules applied to every entry before it is written.
+   * The built-in rules redact credentials, bearer tokens, JWTs, emails and card numbers.
+   * @param {boolean|Object} [redaction] - Rules `{ paths, keys, values }` added to the built-in rules
+   *   (set `defaults: false` to use only these), or false to disable the built-in rules
+   */
+  setRedaction(redaction) {
+    const rules = isPlainObject(redaction) ? redaction : null;
+    const useDefaults = redaction !== false && rules?.defaults !== false;
+    this.redactionRules = [useDefaults ? DEFAULT_REDACTION_RULES : null, rules].filter(Boolean);
+    this.redactor = createRedactor(...this.redactionRules);
+    this.redactionState = { flagValue: undefined, redactor: this.redactor };
+  }
+
+  /**
+   * Sets the transports entries are written to in addition to the console.
+   * Winston transports are added to the Winston logger and filtered by their own `level`.
+   * Any other object with a `write(entry)` method is a sink that receives each entry as an
+   * object with `timestamp`, `level`, `levelNumber`, `message` and the entry's fields. A sink's
+   * optional `level` (name or number) is the least severe level it receives, and its optional
+   * `flush()` is awaited by flush.
+   * @param {Array<Object>} [transports=[]] - Winston transports or `{ name, level, write(entry) }` sinks,
+   *   replacing those set previously
+   */
+  setTransports(transports = []) {
+    const sinks = transports.filter(transport => !isWinstonTransport(transport)).map((sink) => {
+      if (typeof sink?.write !== 'function') {
+        throw new Error('Transports must be Winston transports or objects with a write(entry) method');
+      }
+      const level = parseLogLevel(sink.level ?? LogLevel.TRACE, this.levelDefinitions);
+      if (!level.valid) {
+        throw new Error(`Invalid level ${JSON.stringify(sink.level)} for transport '${sink.name}'`);
+      }
+      return { sink, name: sink.name, level: level.level };
     });
+
+    for (const transport of this.winstonTransports || []) {
+      this.logger.remove(transport);
+    }
+    this.winstonTransports = transports.filter(isWinstonTransport);
+    for (const transport of this.winstonTransports) {
+      this.logger.add(transport);
+    }
+    this.sinks = sinks;
+  }
+
+  /**
+   * Sets the level timers are logged at and the durations from which they are logged as slow.
+   * @param {Object} [timers] - Timer settings:
+   * @param {string|number} [timers.level='debug'] - Level of timer entries, including custom levels
+   * @param {Object} [timers.thresholds] - Slow thresholds in milliseconds by timer label, with
+   *   `default` applying to other labels, e.g. `{ "default": 1000, "db.query": 200 }`
+   */
+  setTimers({ level = DEFAULT_TIMER_LEVEL, thresholds = {} } = {}) {
+    const levelName = getLevelDefinitionName(level, this.levelDefinitions);
+    if (!levelName) {
+      throw new Error(`Invalid timer level ${JSON.stringify(level)}, expected a level name or a number from ${LogLevel.FATAL} to ${LogLevel.TRACE}`);
+    }
+    this.timerOptions = { level: levelName, thresholds: isPlainObject(thresholds) ? thresholds : {} };
+  }
+
+  /**
+   * Enables or disables counting entries as CloudWatch Embedded Metric Format (EMF) metrics.
+   * Entries are counted per level, and per event key when they have an event field, as metrics
+   * named `Event.<key>`. The counts are written by flushMetrics, which withLogger calls at the end
+   * of each invocation. Event keys beyond the number of metrics CloudWatch accepts in one line,
+   * or whose metric name is taken by a dimension, are not counted and a warning is written.
+   * @param {boolean|Object} [metrics] - `true`, false to disable, or options:
+   * @param {string} [metrics.namespace] - Metric namespace (default: the service context key)
+   * @param {Array<string>} [metrics.dimensions=['environment']] - Service context attributes used as
+   *   dimensions in addition to `Service`, the service context key
+   * @param {string} [metrics.eventField='event'] - Field holding the event key of an entry
+   * @param {Function} [metrics.write] - Writes an EMF line (default: stdout)
+   */
+  setMetrics(metrics) {
+    this.metricsOptions = metrics
+      ? { ...DEFAULT_METRICS_OPTIONS, ...(isPlainObject(metrics) ? metrics : {}) }
+      : null;
   }
 
   /**
@@ -96,70 +469,99 @@ class Logger {
    * @param {Object} options - Configuration options
    * @param {string} options.logLevelFlagKey - LaunchDarkly feature flag key for log level control
    * @param {string} options.sdkLogLevelFlagKey - LaunchDarkly feature flag key for SDK log level control
+   * @param {string} options.outputFormat - Output format, either 'pretty' or 'json'
+   * @param {number} options.levelCacheTtlMs - Maximum age of a cached log level in milliseconds
+   * @param {number|string} options.fallbackLogLevel - Level used when the flag value is not a valid level
+   * @param {boolean|Object} options.debugBuffer - Keeps suppressed entries and writes them out on errors,
+   *   either `true` or `{ size, triggerLevel }`
+   * @param {string} options.debugBufferFlagKey - LaunchDarkly JSON flag key for debug buffer settings
+   * @param {boolean|Object} options.redaction - Redaction rules `{ paths, keys, values, defaults }`,
+   *   or false to disable the built-in rules
+   * @param {string} options.redactionFlagKey - LaunchDarkly JSON flag key for additional redaction rules
+   * @param {Object} options.limits - Entry size limits `{ maxFieldLength, maxEntrySize }`
+   * @param {string} options.limitsFlagKey - LaunchDarkly JSON flag key for entry size limit overrides
+   * @param {Array<Object>} options.transports - Additional Winston transports or `{ name, level, write(entry) }` sinks,
+   *   replacing those passed previously
+   * @param {string} options.transportsFlagKey - LaunchDarkly JSON flag key for enabling or disabling named transports
+   * @param {boolean} options.offline - Creates a client that never connects to LaunchDarkly. Flags are
+   *   read from `flagFile` when given, and otherwise evaluate to their defaults
+   * @param {string|Array<string>} options.flagFile - Path(s) of LaunchDarkly flag data files used in offline mode
+   * @param {number} options.initTimeoutMs - Time to wait for the client before logging in degraded mode (default 2000)
+   * @param {boolean|Object} options.metrics - Counts entries per level and event as CloudWatch metrics,
+   *   either `true` or `{ namespace, dimensions, eventField, write }`
+   * @param {Object} options.timers - Timer settings `{ level, thresholds }`
+   * @param {string} options.timersFlagKey - LaunchDarkly JSON flag key for slow thresholds of timers
    * @returns {Promise<void>}
    */
-  async initialize(sdkKeyOrClient, context, options = {}) {
+  async initialize(sdkKeyOrClient, context = this.defaultContext, options = {}) {
+    options = { ...this.initializeDefaults, ...options };
     this.FLAG_KEY = options.logLevelFlagKey || process.env.LD_LOG_LEVEL_FLAG_KEY;
     this.SDK_LOG_LEVEL_FLAG_KEY = options.sdkLogLevelFlagKey || process.env.LD_SDK_LOG_LEVEL_FLAG_KEY;
+    this.DEBUG_BUFFER_FLAG_KEY = options.debugBufferFlagKey || process.env.LD_DEBUG_BUFFER_FLAG_KEY;
+    this.REDACTION_FLAG_KEY = options.redactionFlagKey || process.env.LD_REDACTION_FLAG_KEY;
+    this.LIMITS_FLAG_KEY = options.limitsFlagKey || process.env.LD_LIMITS_FLAG_KEY;
+    this.TRANSPORTS_FLAG_KEY = options.transportsFlagKey || process.env.LD_TRANSPORTS_FLAG_KEY;
+    this.TIMERS_FLAG_KEY = options.timersFlagKey || process.env.LD_TIMERS_FLAG_KEY;
     
     if (!this.FLAG_KEY) {
       throw new Error('Logger requires LD_LOG_LEVEL_FLAG_KEY environment variable or logLevelFlagKey option');
     }
 
-    if (typeof sdkKeyOrClient === 'string') {
-      // When creating a new LaunchDarkly client, we need to know the SDK log level before initialization
-      // since it's part of the client's configuration options. But to get the SDK log level from the
-      // feature flag, we need a client to evaluate the flag. To solve this chicken-and-egg problem:
-      // 1. Create a temporary client with minimal logging
-      // 2. Use it to get the SDK log level from the flag
-      // 3. Close it
-      // 4. Create the main client with the proper SDK log level
+    if (options.outputFormat) {
+      this.setOutputFormat(options.outputFormat);
+    }
+
+    if (options.levelCacheTtlMs !== undefined) {
+      this.levelCacheTtlMs = options.levelCacheTtlMs;
+    }
+
+    if (options.fallbackLogLevel !== undefined) {
+      this.setFallbackLogLevel(options.fallbackLogLevel);
+    }
+
+    if (options.debugBuffer !== undefined) {
+      this.debugBufferOptions = options.debugBuffer || null;
+    }
+
+    if (options.redaction !== undefined) {
+      this.setRedaction(options.redaction);
+    }
+
+    if (options.limits !== undefined) {
+      this.limits = resolveLimits(DEFAULT_LIMITS, options.limits);
+    }
+
+    if (options.transports !== undefined) {
+      this.setTransports(options.transports);
+    }
+
+    if (options.metrics !== undefined) {
+      this.setMetrics(options.metrics);
+    }
+
+    if (options.timers !== undefined) {
+      this.setTimers(options.timers);
+    }
+
+    const initTimeout = (options.initTimeoutMs ?? DEFAULT_INIT_TIMEOUT_MS) / 1000;
+    const clientOptions = Object.fromEntries(
+      Object.entries(options).filter(([key]) => !LOGGER_OPTIONS.includes(key))
+    );
+
+    if (options.offline) {
+      this.ldClient = createOfflineClient(sdkKeyOrClient, options.flagFile, clientOptions);
+    } else if (typeof sdkKeyOrClient === 'string') {
       if (this.SDK_LOG_LEVEL_FLAG_KEY) {
-        const validSdkLogLevels = ['debug', 'info', 'warn', 'error', 'none'];
-        
-        // Step 1: Create temporary client with minimal logging
-        const tempClient = LaunchDarkly.init(sdkKeyOrClient, {
-          logger: LaunchDarkly.basicLogger({ level: 'error' }) // Use error level to minimize noise during initialization
+        // The SDK log level flag can only be evaluated once the client is ready, so SDK messages go
+        // through a proxy that filters at a conservative level until the flag is applied below
+        this.sdkLogState.level = DEFAULT_SDK_LOG_LEVEL;
+        this.ldClient = LaunchDarkly.init(sdkKeyOrClient, {
+          logger: this.createSdkLogger(),
+          ...clientOptions
         });
-        
-        await tempClient.waitForInitialization({timeout: 2});
-
-        // Step 2: Extract service context for SDK log level evaluation
-        const serviceContext = {
-          kind: 'service',
-          key: context.service?.key || 'default-service',
-          name: context.service?.name || 'Default Service',
-          environment: process.env.NODE_ENV || 'development'
-        };
-
-        // Step 3: Get SDK log level from flag
-        let sdkLogLevel = await tempClient.variation(this.SDK_LOG_LEVEL_FLAG_KEY, serviceContext, 'info');
-        
-        // Step 4: Clean up temporary client
-        await tempClient.close();
-
-        // Log the final SDK log level we're using
-        console.log('Initializing LaunchDarkly client with SDK log level:', {
-          finalLevel: sdkLogLevel,
-          source: validSdkLogLevels.includes(sdkLogLevel) ? 'flag' : 'default'
-        });
-
-        // Step 5: Create main client with proper SDK log level
-        const ldOptions = {
-          logger: LaunchDarkly.basicLogger({
-            level: sdkLogLevel,
-            destination: (level, message) => {
-              // Forward SDK messages to Winston at their original level
-              this.logger[level](`[LaunchDarkly SDK ${level}] ${message}`);
-            }
-          }),
-          ...options
-        };
-        
-        this.ldClient = LaunchDarkly.init(sdkKeyOrClient, ldOptions);
       } else {
         // No SDK log level flag, use default initialization
-        this.ldClient = LaunchDarkly.init(sdkKeyOrClient, options);
+        this.ldClient = LaunchDarkly.init(sdkKeyOrClient, clientOptions);
       }
     } else if (sdkKeyOrClient && typeof sdkKeyOrClient === 'object') {
       this.ldClient = sdkKeyOrClient;
@@ -168,137 +570,1596 @@ class Logger {
     }
 
     this.context = context;
-    await this.ldClient.waitForInitialization({timeout: 2});
+    this.degraded = false;
+    this.watchSdkLogLevel();
+    try {
+      await this.ldClient.waitForInitialization({timeout: initTimeout});
+    } catch (error) {
+      this.enterDegradedMode(error);
+    }
+    if (!this.degraded) {
+      await this.applySdkLogLevel();
+    }
 
     // Log initialization details
-    this.logger.debug(`🚀 LaunchDarkly logger initialized: ${JSON.stringify({
+    await this.debug('🚀 LaunchDarkly logger initialized:', {
       context,
       flagKey: this.FLAG_KEY,
       sdkLogLevelFlagKey: this.SDK_LOG_LEVEL_FLAG_KEY
-    }, null, 2)}`);
+    });
+  }
+
+  /**
+   * Switches to degraded mode after the client failed to initialize: flags evaluate to their
+   * defaults, so entries are filtered at the fallback level, until the client reports that it
+   * is ready. A single warning is written when degraded mode starts.
+   * @private
+   * @param {Error} error - Initialization error
+   */
+  enterDegradedMode(error) {
+    const client = this.ldClient;
+    this.degraded = true;
+    this.write('warn', [
+      `LaunchDarkly client is not ready, logging at ${getLevelName(this.fallbackLogLevel, this.levelDefinitions)} until it is:`,
+      { reason: error?.message ?? String(error) }
+    ]);
+
+    // Event listeners can't return a rejection to anyone, so failures are logged instead of
+    // becoming unhandled rejections that would crash the runtime
+    client.once?.('ready', () => {
+      if (this.ldClient !== client || !this.degraded) return;
+      this.degraded = false;
+      this.applySdkLogLevel()
+        .then(() => this.info('LaunchDarkly client is ready, log levels now follow flags'))
+        .catch(error => this.write('warn', ['Failed to leave degraded mode:', error]));
+    });
+  }
+
+  /**
+   * Creates a LaunchDarkly SDK logger that forwards SDK messages to the Winston transports,
+   * filtered at the SDK log level held by the logger rather than one fixed when the client is created.
+   * Pass it as the `logger` option when creating your own client, so that the SDK log level flag
+   * also applies to it:
+   *
+   *   const ldClient = LaunchDarkly.init(sdkKey, { logger: logger.createSdkLogger() });
+   *   await logger.initialize(ldClient, context, { sdkLogLevelFlagKey: 'sdk-log-level' });
+   *
+   * @returns {Object} LaunchDarkly logger for the `logger` client option
+   */
+  createSdkLogger() {
+    const forward = level => line => this.writeSdkMessage(level, line);
+    return LaunchDarkly.basicLogger({
+      // Everything is passed to the destination, which does the filtering
+      level: 'debug',
+      destination: {
+        debug: forward('debug'),
+        info: forward('info'),
+        warn: forward('warn'),
+        error: forward('error')
+      }
+    });
+  }
+
+  /**
+   * Writes a message from the LaunchDarkly SDK if the SDK log level allows it. Messages are
+   * redacted and written to every transport, like other entries.
+   * @private
+   * @param {string} level - SDK level: debug, info, warn or error
+   * @param {string} line - Formatted SDK log line, e.g. 'warn: [LaunchDarkly] message'
+   */
+  writeSdkMessage(level, line) {
+    if (SDK_LOG_LEVELS.indexOf(level) < SDK_LOG_LEVELS.indexOf(this.sdkLogState.level)) return;
+
+    const message = String(line).replace(/^\w+: \[[^\]]*\] /, '');
+    this.write(level, [`[LaunchDarkly SDK ${level}] ${message}`]);
+  }
+
+  /**
+   * Re-applies the SDK log level whenever the client reports a change to the SDK log level flag,
+   * so warm containers pick up new values. Any listener on a previous client is removed.
+   * @private
+   */
+  watchSdkLogLevel() {
+    const state = this.sdkLogState;
+    state.unwatch?.();
+    state.unwatch = null;
+
+    const client = this.ldClient;
+    const flagKey = this.SDK_LOG_LEVEL_FLAG_KEY;
+    if (!flagKey || typeof client.on !== 'function') return;
+
+    const event = `update:${flagKey}`;
+    const listener = () => {
+      if (this.ldClient === client && !this.degraded) {
+        this.applySdkLogLevel()
+          .catch(error => this.write('warn', [`Failed to apply SDK log level flag '${flagKey}':`, error]));
+      }
+    };
+    client.on(event, listener);
+    state.unwatch = () => client.off?.(event, listener);
+  }
+
+  /**
+   * Evaluates the SDK log level flag for the service and applies it to forwarded SDK messages.
+   * Invalid values are replaced by 'info', the SDK's own default.
+   * @private
+   */
+  async applySdkLogLevel() {
+    if (!this.SDK_LOG_LEVEL_FLAG_KEY || !this.ldClient) return;
+
+    const context = this.context || {};
+    const serviceContext = {
+      kind: 'service',
+      key: context.service?.key || 'default-service',
+      name: context.service?.name || 'Default Service',
+      environment: process.env.NODE_ENV || 'development'
+    };
+    const value = await this.ldClient.variation(this.SDK_LOG_LEVEL_FLAG_KEY, serviceContext, 'info');
+    const valid = SDK_LOG_LEVELS.includes(value);
+    this.sdkLogState.level = valid ? value : 'info';
+
+    await this.debug('LaunchDarkly SDK log level set:', {
+      level: this.sdkLogState.level,
+      source: valid ? 'flag' : 'default'
+    });
   }
 
   /**
    * Gets the current log level from LaunchDarkly.
-   * Defaults to ERROR level if LaunchDarkly client is not initialized.
+   * Flag values are cached per context and only re-evaluated when the flag changes or the
+   * cached value is older than the configured maximum staleness.
+   * Defaults to ERROR level if LaunchDarkly client is not initialized, and to the fallback level
+   * while the client is unavailable.
    * @returns {Promise<number>} Current log level
    */
   async getCurrentLogLevel() {
     if (!this.ldClient) return LogLevel.ERROR;
-
-    // Add debug logging before evaluation
-    this.logger.debug(`🔍 Evaluating log level flag: ${JSON.stringify({
-      flagKey: this.FLAG_KEY,
-      context: this.context
-    }, null, 2)}`);
-    
-    const logLevel = await this.ldClient.variation(this.FLAG_KEY, this.context, LogLevel.INFO);
-    
-    // Add debug logging after evaluation
-    this.logger.debug(`📊 Log level flag evaluated: ${JSON.stringify({
-      flagKey: this.FLAG_KEY,
-      context: this.context,
-      value: logLevel
-    }, null, 2)}`);
-    
-    return logLevel;
+    return this.resolveLogLevel(await this.evaluateFlag(this.FLAG_KEY, this.fallbackLogLevel));
   }
 
   /**
-   * Determines if a message at the given level should be logged based on current settings.
-   * @param {number} level - Log level to check
-   * @returns {Promise<boolean>} Whether the message should be logged
+   * Gets the cached log level for the current context without evaluating the flag.
+   * @returns {number|undefined} Cached log level, or undefined if there is no fresh cached value
    */
-  async shouldLog(level) {
-    const currentLevel = await this.getCurrentLogLevel();
-    return level <= currentLevel;
+  getCachedLogLevel() {
+    if (!this.ldClient) return LogLevel.ERROR;
+
+    const entry = this.getCachedFlag(this.FLAG_KEY);
+    return entry ? this.resolveLogLevel(entry.value) : undefined;
   }
 
   /**
-   * Logs a fatal error message. Used for unrecoverable errors that require immediate attention.
-   * @param {...*} args - Messages or objects to log
+   * Evaluates a flag for the current context, using the cached value when it is fresh.
+   * @private
+   * @param {string} flagKey - Flag key
+   * @param {*} defaultValue - Value used when the flag can't be evaluated
+   * @returns {Promise<*>} Flag value
    */
-  async fatal(...args) {
-    if (await this.shouldLog(LogLevel.FATAL)) {
-      this.logger.log('fatal', this.formatMessage(args));
+  async evaluateFlag(flagKey, defaultValue) {
+    // Defaults aren't cached in degraded mode, so flags apply as soon as the client is ready
+    if (this.degraded) return defaultValue;
+
+    const cached = this.getCachedFlag(flagKey);
+    if (cached) return cached.value;
+
+    const context = this.getContext();
+    const flags = this.getContextFlags(context);
+    const version = this.getFlagVersion(flagKey);
+    const { value, reason } = await this.evaluateFlagDetail(flagKey, context, defaultValue);
+
+    flags.set(flagKey, { value, version, evaluatedAt: Date.now() });
+    if (flagKey === this.FLAG_KEY) {
+      this.observeLogLevel(context, value, reason);
     }
+    return value;
   }
 
   /**
-   * Logs an error message. Used for errors that are severe but not fatal.
-   * @param {...*} args - Messages or objects to log
+   * Evaluates a flag with the client, including the evaluation reason when the client supports it.
+   * @private
+   * @param {string} flagKey - Flag key
+   * @param {Object} context - Evaluation context
+   * @param {*} defaultValue - Value used when the flag can't be evaluated
+   * @returns {Promise<{value: *, reason: Object|undefined}>} Flag value and evaluation reason
    */
-  async error(...args) {
-    if (await this.shouldLog(LogLevel.ERROR)) {
-      this.logger.error(this.formatMessage(args));
+  async evaluateFlagDetail(flagKey, context, defaultValue) {
+    if (typeof this.ldClient.variationDetail !== 'function') {
+      return { value: await this.ldClient.variation(flagKey, context, defaultValue) };
     }
+    const detail = await this.ldClient.variationDetail(flagKey, context, defaultValue);
+    return { value: detail?.value ?? defaultValue, reason: detail?.reason };
   }
 
   /**
-   * Logs a warning message. Used for potentially harmful situations.
-   * @param {...*} args - Messages or objects to log
+   * Registers a callback called when the log level flag changes for a context. A change is noticed
+   * the first time a new flag value is evaluated for a context, which is also when an audit entry
+   * is written.
+   * @param {Function} callback - Called with `{ oldLevel, newLevel, module, flagKey, reason, context }`
+   *   for each module whose level changed, where the levels are LogLevel numbers and `module` is
+   *   undefined for the default level
+   * @returns {Function} Function that removes the callback
    */
-  async warn(...args) {
-    if (await this.shouldLog(LogLevel.WARN)) {
-      this.logger.warn(this.formatMessage(args));
-    }
+  onLevelChange(callback) {
+    const { listeners } = this.levelChangeState;
+    listeners.add(callback);
+    return () => listeners.delete(callback);
   }
 
   /**
-   * Logs an informational message. Used for general operational messages.
-   * @param {...*} args - Messages or objects to log
+   * Records a freshly evaluated log level flag value for a context, and writes an audit entry and
+   * notifies level change callbacks for each module whose level differs from the one last seen for
+   * that context. With per-module levels, each changed module is reported with its name, and
+   * changes to `default` without a module name.
+   * @private
+   * @param {Object} context - Evaluation context
+   * @param {*} value - Log level flag value
+   * @param {Object} [reason] - Evaluation reason
    */
-  async info(...args) {
-    if (await this.shouldLog(LogLevel.INFO)) {
-      this.logger.info(this.formatMessage(args));
+  observeLogLevel(context, value, reason) {
+    const state = this.levelChangeState;
+    const contextKey = getContextKey(context);
+    const serialized = JSON.stringify(value);
+    const previous = state.values.get(contextKey);
+
+    // Re-inserting keeps the most recently seen contexts when the map is trimmed
+    state.values.delete(contextKey);
+    state.values.set(contextKey, { value, serialized });
+    if (state.values.size > MAX_OBSERVED_CONTEXTS) {
+      state.values.delete(state.values.keys().next().value);
+    }
+    if (!previous || previous.serialized === serialized) return;
+
+    const moduleNames = new Set([previous.value, value]
+      .flatMap(flagValue => isPlainObject(flagValue) ? Object.keys(flagValue) : [])
+      .filter(name => name !== 'default'));
+    for (const moduleName of [undefined, ...moduleNames]) {
+      const oldLevel = this.parseFlagLevel(selectModuleLevel(previous.value, moduleName));
+      const newLevel = this.parseFlagLevel(selectModuleLevel(value, moduleName));
+      if (oldLevel === newLevel) continue;
+
+      const change = { oldLevel, newLevel, flagKey: this.FLAG_KEY, reason, context };
+      if (moduleName !== undefined) change.module = moduleName;
+      state.root.write('info', ['Log level changed', {
+        event: 'log_level_changed',
+        ...(moduleName !== undefined && { module: moduleName }),
+        oldLevel: getLevelName(oldLevel, this.levelDefinitions),
+        newLevel: getLevelName(newLevel, this.levelDefinitions),
+        flagKey: change.flagKey,
+        reason
+      }]);
+
+      for (const listener of state.listeners) {
+        try {
+          listener(change);
+        } catch (error) {
+          state.root.write('warn', ['Log level change callback failed:', error]);
+        }
+      }
     }
   }
 
   /**
-   * Logs a debug message. Used for detailed information for debugging purposes.
-   * @param {...*} args - Messages or objects to log
+   * Parses a level taken from the log level flag without warning about invalid values, which
+   * resolveLogLevel reports when the level is used.
+   * @private
+   * @param {*} level - Level from the flag
+   * @returns {number} Log level, or the fallback level for invalid values
    */
-  async debug(...args) {
-    if (await this.shouldLog(LogLevel.DEBUG)) {
-      this.logger.debug(this.formatMessage(args));
-    }
+  parseFlagLevel(level) {
+    return parseLogLevel(level, this.levelDefinitions).level ?? this.fallbackLogLevel;
   }
 
   /**
-   * Logs a trace message. Used for very detailed debugging information.
-   * @param {...*} args - Messages or objects to log
+   * Gets the cached value of a flag for the current context.
+   * Values are discarded when the client reports a change to the flag, or once they are
+   * older than the configured maximum staleness.
+   * @private
+   * @param {string} flagKey - Flag key
+   * @returns {{value: *}|undefined} Cached entry, or undefined if there is no fresh cached value
    */
-  async trace(...args) {
-    if (await this.shouldLog(LogLevel.TRACE)) {
-      this.logger.log('trace', this.formatMessage(args));
+  getCachedFlag(flagKey) {
+    const entry = this.getContextFlags(this.getContext()).get(flagKey);
+    if (
+      entry &&
+      entry.version === this.getFlagVersion(flagKey) &&
+      Date.now() - entry.evaluatedAt < this.levelCacheTtlMs
+    ) {
+      return entry;
     }
+    return undefined;
   }
 
   /**
-   * Formats log messages to handle multiple arguments and objects
+   * Gets the cached flag values of a context.
    * @private
-   * @param {Array} args - Arguments to format
-   * @returns {string} Formatted message
+   * @param {Object} context - LaunchDarkly context
+   * @returns {Map} Cached flag values keyed by flag key
    */
-  formatMessage(args) {
-    return args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-    ).join(' ');
+  getContextFlags(context) {
+    const { cache } = this.getFlagState();
+    const key = context || NO_CONTEXT;
+    if (!cache.has(key)) cache.set(key, new Map());
+    return cache.get(key);
   }
 
   /**
-   * Closes the LaunchDarkly client connection.
-   * Should be called when the logger is no longer needed.
+   * Gets the change counter of a flag, subscribing to the client's `update:<flagKey>`
+   * events the first time the flag is used.
+   * @private
+   * @param {string} flagKey - Flag key
+   * @returns {number} Number of changes seen for the flag
    */
-  async close() {
-    await this.ldClient?.close();
+  getFlagVersion(flagKey) {
+    const state = this.getFlagState();
+    if (!state.versions.has(flagKey)) {
+      state.versions.set(flagKey, 0);
+      if (typeof this.ldClient?.on === 'function') {
+        const listener = () => state.versions.set(flagKey, state.versions.get(flagKey) + 1);
+        state.listeners.set(flagKey, listener);
+        this.ldClient.on(`update:${flagKey}`, listener);
+      }
+    }
+    return state.versions.get(flagKey);
   }
-}
 
-const logger = new Logger();
+  /**
+   * Gets the flag cache state for the current client, resetting it and removing the
+   * change listeners of the previous client whenever the client has changed.
+   * @private
+   * @returns {Object} Flag cache state
+   */
+  getFlagState() {
+    const state = this.flagState;
+    if (state.client === this.ldClient) return state;
+
+    for (const [flagKey, listener] of state.listeners) {
+      state.client?.off?.(`update:${flagKey}`, listener);
+    }
+    state.client = this.ldClient;
+    state.cache = new WeakMap();
+    state.versions = new Map();
+    state.listeners = new Map();
+    return state;
+  }
+
+  /**
+   * Resolves a log level flag value to the level for this logger.
+   * The flag is either a single level, or a JSON object of per-module levels such as
+   * `{ "default": 3, "db": 5 }`, in which case the entry for this logger's module is used
+   * and `default` applies to modules without an entry of their own.
+   * @private
+   * @param {*} value - Log level flag value
+   * @returns {number} Log level
+   */
+  resolveLogLevel(value) {
+    const level = selectModuleLevel(value, this.moduleName);
+    const parsed = parseLogLevel(level, this.levelDefinitions);
+    if (parsed.valid) return parsed.level;
+
+    const resolvedLevel = parsed.level ?? this.fallbackLogLevel;
+    this.warnInvalidLogLevel(level, resolvedLevel);
+    return resolvedLevel;
+  }
+
+  /**
+   * Writes a warning about an invalid log level flag value, once per flag key and value.
+   * The warning is written regardless of the current log level.
+   * @private
+   * @param {*} value - Invalid flag value
+   * @param {number} resolvedLevel - Level used instead
+   */
+  warnInvalidLogLevel(value, resolvedLevel) {
+    const warningKey = `${this.FLAG_KEY}:${JSON.stringify(value)}`;
+    if (this.flagState.warnings.has(warningKey)) return;
+    this.flagState.warnings.add(warningKey);
+
+    this.write('warn', [
+      `Invalid value ${JSON.stringify(value)} for log level flag '${this.FLAG_KEY}', using ${getLevelName(resolvedLevel, this.levelDefinitions)} instead`
+    ]);
+  }
+
+  /**
+   * Determines if a message at the given level should be logged based on current settings.
+   * @param {number} level - Log level to check
+   * @returns {Promise<boolean>} Whether the message should be logged
+   */
+  async shouldLog(level) {
+    const currentLevel = await this.getCurrentLogLevel();
+    return level <= currentLevel;
+  }
+
+  /**
+   * Determines synchronously if a message at the given level should be logged, when the level
+   * for the current context is cached, so log calls don't wait for an evaluation.
+   * @private
+   * @param {number} level - Log level to check
+   * @returns {boolean|undefined} Whether the message should be logged, or undefined if the level isn't cached
+   */
+  shouldLogCached(level) {
+    const cachedLevel = this.getCachedLogLevel();
+    return cachedLevel === undefined ? undefined : level <= cachedLevel;
+  }
+
+  /**
+   * Logs a fatal error message. Used for unrecoverable errors that require immediate attention.
+   * @param {...*} args - Messages or objects to log
+   */
+  async fatal(...args) {
+    await this.logAtLevel('fatal', args);
+  }
+
+  /**
+   * Logs an error message. Used for errors that are severe but not fatal.
+   * @param {...*} args - Messages or objects to log
+   */
+  async error(...args) {
+    await this.logAtLevel('error', args);
+  }
+
+  /**
+   * Logs a warning message. Used for potentially harmful situations.
+   * @param {...*} args - Messages or objects to log
+   */
+  async warn(...args) {
+    await this.logAtLevel('warn', args);
+  }
+
+  /**
+   * Logs an informational message. Used for general operational messages.
+   * @param {...*} args - Messages or objects to log
+   */
+  async info(...args) {
+    await this.logAtLevel('info', args);
+  }
+
+  /**
+   * Logs a debug message. Used for detailed information for debugging purposes.
+   * @param {...*} args - Messages or objects to log
+   */
+  async debug(...args) {
+    await this.logAtLevel('debug', args);
+  }
+
+  /**
+   * Logs a trace message. Used for very detailed debugging information.
+   * @param {...*} args - Messages or objects to log
+   */
+  async trace(...args) {
+    await this.logAtLevel('trace', args);
+  }
+
+  /**
+   * Starts a timer that is logged by timeEnd with the same label. Like console.time, labels are
+   * shared by the logger and its children.
+   * @param {string} [label='default'] - Timer label
+   */
+  time(label = 'default') {
+    const { started } = this.timerState;
+    if (started.has(label)) {
+      this.write('warn', [`Timer '${label}' already exists`]);
+      return;
+    }
+    started.set(label, performance.now());
+  }
+
+  /**
+   * Stops a timer started by time and logs its duration.
+   * @param {string} [label='default'] - Timer label
+   * @param {Object} [fields] - Additional fields of the entry
+   * @returns {Promise<number|undefined>} Duration in milliseconds, or undefined if the timer doesn't exist
+   */
+  async timeEnd(label = 'default', fields) {
+    const { started } = this.timerState;
+    if (!started.has(label)) {
+      this.write('warn', [`Timer '${label}' does not exist`]);
+      return undefined;
+    }
+    const startedAt = started.get(label);
+    started.delete(label);
+    return this.logTimer(label, startedAt, `${label} completed`, fields);
+  }
+
+  /**
+   * Starts a timer and returns a function that logs its duration. Unlike time, each call has its
+   * own timer, so it is safe to use concurrently.
+   * @param {string} [label] - Timer label, used to look up its slow threshold
+   * @returns {Function} `done(message, fields)`, which logs the duration and resolves to it in milliseconds
+   */
+  startTimer(label) {
+    const startedAt = performance.now();
+    return (message = label === undefined ? 'Timer completed' : `${label} completed`, fields) =>
+      this.logTimer(label, startedAt, message, fields);
+  }
+
+  /**
+   * Logs the duration of a timer with `timer` and `durationMs` fields. Timers at or above their
+   * slow threshold are logged at WARN, unless their level is already more severe, and marked
+   * with `slow: true` and `thresholdMs`.
+   * @private
+   * @param {string} [label] - Timer label
+   * @param {number} startedAt - Start time from performance.now()
+   * @param {string} message - Message of the entry
+   * @param {Object} [fields] - Additional fields of the entry
+   * @returns {Promise<number>} Duration in milliseconds
+   */
+  async logTimer(label, startedAt, message, fields) {
+    const durationMs = Math.round((performance.now() - startedAt) * 100) / 100;
+    const thresholdMs = await this.getSlowThresholdMs(label);
+    const timerFields = { ...fields, durationMs };
+    if (label !== undefined) timerFields.timer = label;
+
+    let level = this.timerOptions.level;
+    if (thresholdMs !== undefined && durationMs >= thresholdMs) {
+      Object.assign(timerFields, { slow: true, thresholdMs });
+      if (this.levelDefinitions[level].rank > LogLevel.WARN) level = 'warn';
+    }
+
+    await this.logAtLevel(level, [message, timerFields]);
+    return durationMs;
+  }
+
+  /**
+   * Gets the slow threshold of a timer, overriding the thresholds of the timers option with the
+   * JSON flag `{ "default": 1000, "db.query": 200 }` when a flag key is configured.
+   * @private
+   * @param {string} [label] - Timer label
+   * @returns {Promise<number|undefined>} Threshold in milliseconds, or undefined if there is none
+   */
+  async getSlowThresholdMs(label) {
+    let flagValue;
+    if (this.TIMERS_FLAG_KEY && this.ldClient) {
+      flagValue = await this.evaluateFlag(this.TIMERS_FLAG_KEY, null);
+    }
+    const thresholds = { ...this.timerOptions.thresholds, ...(isPlainObject(flagValue) ? flagValue : {}) };
+    const thresholdMs = label !== undefined && Object.prototype.hasOwnProperty.call(thresholds, label)
+      ? thresholds[label]
+      : thresholds.default;
+    return typeof thresholdMs === 'number' && thresholdMs >= 0 ? thresholdMs : undefined;
+  }
+
+  /**
+   * Logs the arguments at the given level if the current log level allows it, or if the level
+   * is a custom level that is always logged. Suppressed entries are kept in the debug buffer
+   * when it is enabled, and written out once an entry at or above the buffer's trigger level is logged.
+   * @private
+   * @param {string} name - Level name
+   * @param {Array} args - Arguments passed to the log method
+   */
+  async logAtLevel(name, args) {
+    const { rank: level, alwaysLog } = this.levelDefinitions[name];
+
+    if (alwaysLog || (this.shouldLogCached(level) ?? await this.shouldLog(level))) {
+      await this.flushDebugBuffer(level);
+      this.write(name, args, await this.getEntryOptions());
+    } else {
+      await this.bufferEntry(name, args);
+    }
+  }
+
+  /**
+   * Adds a suppressed entry to the debug buffer, dropping the oldest entry when it is full.
+   * @private
+   * @param {string} name - Level name
+   * @param {Array} args - Arguments passed to the log method
+   */
+  async bufferEntry(name, args) {
+    const config = await this.getDebugBufferConfig();
+    if (!config.enabled) return;
+
+    const buffer = this.getDebugBuffer();
+    const entry = this.buildEntry(args, await this.getEntryOptions());
+    buffer.push({ name, entry, loggedAt: new Date().toISOString() });
+    if (buffer.length > config.size) {
+      buffer.splice(0, buffer.length - config.size);
+    }
+  }
+
+  /**
+   * Writes out and clears the debug buffer if an entry at the given level triggers it.
+   * Backfilled entries keep their original order and are marked with `backfilled: true`
+   * and the time they were logged.
+   * @private
+   * @param {number} level - Level of the entry being logged
+   */
+  async flushDebugBuffer(level) {
+    const buffer = this.getDebugBuffer();
+    if (buffer.length === 0) return;
+
+    const config = await this.getDebugBufferConfig();
+    if (!config.enabled) {
+      buffer.length = 0;
+      return;
+    }
+    if (level > config.triggerLevel) return;
+
+    for (const { name, entry, loggedAt } of buffer.splice(0)) {
+      this.writeEntry(name, {
+        message: entry.message,
+        fields: { ...entry.fields, backfilled: true, loggedAt }
+      });
+    }
+  }
+
+  /**
+   * Gets the debug buffer of the current invocation. Each runWithContext call chain, and so
+   * each withLogger invocation, has its own buffer; a shared one is used outside of them.
+   * @private
+   * @returns {Array} Buffered entries
+   */
+  getDebugBuffer() {
+    return this.contextStorage.getStore()?.buffer || this.sharedDebugBuffer;
+  }
+
+  /**
+   * Warns that the current invocation is approaching its timeout, regardless of the log level.
+   * The entries held by the debug buffer are written out first, whatever its trigger level,
+   * so the warning comes with what led up to it.
+   * @private
+   * @param {Object} fields - Timing fields of the warning
+   */
+  async warnTimeoutApproaching(fields) {
+    await this.flushDebugBuffer(LogLevel.FATAL);
+    this.write('warn', ['Invocation approaching timeout', fields], await this.getEntryOptions());
+  }
+
+  /**
+   * Gets the debug buffer settings, combining the debugBuffer option with the JSON flag
+   * `{ "enabled": true, "size": 100, "triggerLevel": "error" }` when a flag key is configured.
+   * @private
+   * @returns {Promise<{enabled: boolean, size: number, triggerLevel: number}>} Debug buffer settings
+   */
+  async getDebugBufferConfig() {
+    const defaults = this.debugBufferOptions === true ? {} : this.debugBufferOptions;
+    let flagValue;
+    if (this.DEBUG_BUFFER_FLAG_KEY && this.ldClient) {
+      flagValue = await this.evaluateFlag(this.DEBUG_BUFFER_FLAG_KEY, null);
+    }
+    const fromFlag = isPlainObject(flagValue) ? flagValue : undefined;
+    const config = { ...defaults, ...fromFlag };
+
+    return {
+      enabled: Boolean(config.enabled ?? (defaults || fromFlag)),
+      size: Number.isInteger(config.size) && config.size > 0 ? config.size : DEFAULT_DEBUG_BUFFER_SIZE,
+      triggerLevel: parseLogLevel(config.triggerLevel ?? LogLevel.ERROR, this.levelDefinitions).level ?? LogLevel.ERROR
+    };
+  }
+
+  /**
+   * Gets the redactor for the current context, adding the rules from the redaction flag
+   * `{ "paths": [...], "keys": [...], "values": [...] }` when a flag key is configured.
+   * @private
+   * @returns {Promise<Function>} Redactor
+   */
+  async getRedactor() {
+    if (!this.REDACTION_FLAG_KEY || !this.ldClient) return this.redactor;
+
+    const flagValue = await this.evaluateFlag(this.REDACTION_FLAG_KEY, null);
+    if (!isPlainObject(flagValue)) return this.redactor;
+
+    const state = this.redactionState;
+    if (state.flagValue !== flagValue) {
+      try {
+        state.redactor = createRedactor(...this.redactionRules, flagValue);
+      } catch (error) {
+        state.redactor = this.redactor;
+        this.write('warn', [`Invalid rules in redaction flag '${this.REDACTION_FLAG_KEY}', using configured rules only: ${error.message}`]);
+      }
+      state.flagValue = flagValue;
+    }
+    return state.redactor;
+  }
+
+  /**
+   * Gets the size limits for log entries, overriding the limits option with the JSON flag
+   * `{ "maxFieldLength": 16384, "maxEntrySize": 261120 }` when a flag key is configured.
+   * @private
+   * @returns {Promise<{maxFieldLength: number, maxEntrySize: number}>} Entry size limits
+   */
+  async getLimits() {
+    if (!this.LIMITS_FLAG_KEY || !this.ldClient) return this.limits;
+
+    const flagValue = await this.evaluateFlag(this.LIMITS_FLAG_KEY, null);
+    if (!isPlainObject(flagValue)) return this.limits;
+    return resolveLimits(this.limits, flagValue);
+  }
+
+  /**
+   * Gets the redaction and size limit settings used to build entries for the current context.
+   * @private
+   * @returns {Promise<{redact: Function, limits: Object}>} Entry options
+   */
+  async getEntryOptions() {
+    await this.applyTransportsFlag();
+    return { redact: await this.getRedactor(), limits: await this.getLimits() };
+  }
+
+  /**
+   * Enables or disables named transports using the JSON flag `{ "console": true, "s3": false }`
+   * when a flag key is configured. Winston transports are matched by their `name` and sinks by
+   * their `name` property; transports not named in the flag are left as they are. Like Winston's
+   * own `silent` setting, the result applies to the whole logger rather than to one context.
+   * @private
+   */
+  async applyTransportsFlag() {
+    if (!this.TRANSPORTS_FLAG_KEY || !this.ldClient) return;
+
+    const flagValue = await this.evaluateFlag(this.TRANSPORTS_FLAG_KEY, null);
+    const state = this.transportState;
+    if (!isPlainObject(flagValue) || flagValue === state.flagValue) return;
+
+    const previous = state.flagValue || {};
+    for (const transport of this.logger.transports || []) {
+      if (transport.name in flagValue || transport.name in previous) {
+        transport.silent = flagValue[transport.name] === false;
+      }
+    }
+    state.disabled = new Set(Object.keys(flagValue).filter(name => flagValue[name] === false));
+    state.flagValue = flagValue;
+  }
+
+  /**
+   * Writes a log entry to Winston.
+   * @private
+   * @param {string} level - Winston level name
+   * @param {Array} args - Arguments passed to the log method
+   * @param {{redact: Function, limits: Object}} options - Redaction and size limit settings,
+   *   defaults to the configured settings without flag overrides
+   */
+  write(level, args, options) {
+    this.writeEntry(level, this.buildEntry(args, options));
+
+    if (this.metricsOptions) {
+      this.countEntry(level, args);
+    }
+  }
+
+  /**
+   * Counts a written entry for the EMF metrics.
+   * @private
+   * @param {string} level - Winston level name
+   * @param {Array} args - Arguments passed to the log method
+   */
+  countEntry(level, args) {
+    const state = this.metricsState;
+    state.levels[level] = (state.levels[level] || 0) + 1;
+    state.pending = true;
+
+    const { eventField } = this.metricsOptions;
+    const fieldSource = [...args].reverse().find(arg => isPlainObject(arg) && eventField in arg) ||
+      this.getBoundFields();
+    const eventKey = fieldSource[eventField];
+    if (typeof eventKey !== 'string' || !eventKey) return;
+
+    const metricName = `${EVENT_METRIC_PREFIX}${eventKey}`;
+    if (state.events[metricName] !== undefined) {
+      state.events[metricName]++;
+      return;
+    }
+
+    if (['Service', ...this.metricsOptions.dimensions].includes(metricName)) {
+      if (!state.rejected.has(eventKey)) {
+        state.rejected.add(eventKey);
+        this.write('warn', [`Event '${eventKey}' is not counted as a metric, its metric name '${metricName}' is a dimension`]);
+      }
+      return;
+    }
+
+    const maxEvents = MAX_EMF_METRICS - Object.keys(this.levelDefinitions).length;
+    if (Object.keys(state.events).length < maxEvents) {
+      state.events[metricName] = 1;
+    } else if (!state.capped) {
+      state.capped = true;
+      this.write('warn', [`Event '${eventKey}' and other new event keys are not counted as metrics, at most ${maxEvents} are counted per metrics line`]);
+    }
+  }
+
+  /**
+   * Writes the entry counts since the last flush as one CloudWatch Embedded Metric Format line
+   * and resets them. Every level is included, with zero counts, so that error rates can be computed.
+   * Does nothing when metrics are disabled or nothing was logged since the last flush.
+   */
+  flushMetrics() {
+    const options = this.metricsOptions;
+    const state = this.metricsState;
+    if (!options || !state.pending) return;
+
+    const service = this.getServiceContext() || {};
+    const dimensions = {};
+    if (service.key) dimensions.Service = String(service.key);
+    for (const attribute of options.dimensions) {
+      if (service[attribute] !== undefined) dimensions[attribute] = String(service[attribute]);
+    }
+
+    const metrics = {};
+    for (const name of Object.keys(this.levelDefinitions)) {
+      metrics[`${name[0].toUpperCase()}${name.slice(1)}Count`] = state.levels[name] || 0;
+    }
+    // Event metrics are prefixed, so they can't replace the level counts, dimensions or EMF metadata
+    Object.assign(metrics, state.events);
+
+    state.levels = {};
+    state.events = {};
+    state.pending = false;
+    state.capped = false;
+
+    options.write(JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: options.namespace || service.key || 'LambdaLogger',
+          Dimensions: [Object.keys(dimensions)],
+          Metrics: Object.keys(metrics).map(name => ({ Name: name, Unit: 'Count' }))
+        }]
+      },
+      ...dimensions,
+      ...metrics
+    }));
+  }
+
+  /**
+   * Builds the message and fields of a log entry.
+   * In pretty mode all arguments are rendered into the message text. In JSON mode plain
+   * object arguments become fields of the entry, Errors are written to the `error` field
+   * (additional ones to `errors`) and the remaining arguments form the message.
+   * Entries are redacted and kept within the configured size limits.
+   * @private
+   * @param {Array} args - Arguments passed to the log method
+   * @param {{redact: Function, limits: Object}} options - Redaction and size limit settings,
+   *   defaults to the configured settings without flag overrides
+   * @returns {{message: string, fields: Object}} Log entry
+   */
+  buildEntry(args, { redact = this.redactor, limits = this.limits } = {}) {
+    const serialize = (value) => redact(toSerializable(value, limits));
+    const fields = {};
+    const serializedArgs = args.map(serialize);
+    const boundFields = serialize(this.getBoundFields());
+
+    if (this.outputFormat !== OutputFormat.JSON) {
+      assignFields(fields, boundFields);
+      return limitEntrySize({ message: this.formatMessage(serializedArgs), fields }, limits.maxEntrySize);
+    }
+
+    const messageArgs = [];
+    const service = this.getServiceKey();
+    if (service) fields.service = service;
+    assignFields(fields, boundFields);
+
+    serializedArgs.forEach((arg, index) => {
+      if (isError(args[index])) {
+        if (fields.error === undefined) {
+          fields.error = arg;
+        } else {
+          fields.errors = [...(fields.errors || []), arg];
+        }
+      } else if (isPlainObject(args[index])) {
+        assignFields(fields, arg);
+      } else {
+        messageArgs.push(arg);
+      }
+    });
+
+    return limitEntrySize({ message: this.formatMessage(messageArgs), fields }, limits.maxEntrySize);
+  }
+
+  /**
+   * Writes a built log entry to Winston.
+   * @private
+   * @param {string} level - Winston level name
+   * @param {{message: string, fields: Object}} entry - Log entry
+   */
+  writeEntry(level, { message, fields }) {
+    if (Object.keys(fields).length) {
+      this.logger.log(level, message, fields);
+    } else {
+      this.logger.log(level, message);
+    }
+
+    if (this.sinks.length) {
+      this.writeToSinks(level, { message, fields });
+    }
+  }
+
+  /**
+   * Writes a built log entry to the sinks whose level allows it.
+   * Errors thrown or rejected by a sink are reported once per sink and never fail the log call.
+   * @private
+   * @param {string} level - Winston level name
+   * @param {{message: string, fields: Object}} entry - Log entry
+   */
+  writeToSinks(level, { message, fields }) {
+    const levelNumber = this.levelDefinitions[level].rank;
+    const timestamp = new Date().toISOString();
+
+    for (const { sink, name, level: sinkLevel } of this.sinks) {
+      if (levelNumber > sinkLevel || this.transportState.disabled.has(name)) continue;
+
+      try {
+        const result = sink.write({ timestamp, level, levelNumber, message, ...fields });
+        if (typeof result?.then === 'function') {
+          const { pending } = this.transportState;
+          const write = Promise.resolve(result)
+            .catch(error => this.reportTransportError(name, error))
+            .finally(() => pending.delete(write));
+          pending.add(write);
+        }
+      } catch (error) {
+        this.reportTransportError(name, error);
+      }
+    }
+  }
+
+  /**
+   * Reports a failing transport through the Winston transports, once per transport.
+   * @private
+   * @param {string} name - Transport name
+   * @param {Error} error - Error raised by the transport
+   */
+  reportTransportError(name, error) {
+    const state = this.transportState;
+    if (state.reported.has(name)) return;
+    state.reported.add(name);
+    this.logger.log('error', `Transport '${name ?? 'unnamed'}' failed to write an entry: ${error?.message ?? error}`);
+  }
+
+  /**
+   * Renders a Winston info object in the configured output format.
+   * @private
+   * @param {Object} info - Winston info object
+   * @returns {string} Formatted log line
+   */
+  formatEntry(info) {
+    const { level, message, timestamp, ...fields } = info;
+
+    if (this.outputFormat === OutputFormat.JSON) {
+      return JSON.stringify({
+        timestamp,
+        level,
+        levelNumber: this.levelDefinitions[level].rank,
+        message,
+        ...fields
+      });
+    }
+
+    const suffix = Object.entries(fields)
+      .map(([key, value]) => ` ${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join('');
+    const { emoji, label } = this.levelDefinitions[level];
+    return `${timestamp} ${emoji} ${label}: ${message}${suffix}`;
+  }
+
+  /**
+   * Gets the fields bound to every entry written by this logger, such as the
+   * invocation details set by withLogger.
+   * @private
+   * @returns {Object} Bound fields
+   */
+  getBoundFields() {
+    const trace = this.getTraceContext();
+    const traceFields = trace ? { traceId: trace.traceId, spanId: trace.spanId } : {};
+    if (traceFields.spanId === undefined) delete traceFields.spanId;
+
+    return { ...traceFields, ...this.contextStorage.getStore()?.fields, ...this.bindings };
+  }
+
+  /**
+   * Gets the trace context of the current async call chain: the one set by runWithTrace, or
+   * otherwise the X-Ray trace Lambda provides in the `_X_AMZN_TRACE_ID` environment variable.
+   * Its `traceId` and `spanId` are added to every entry.
+   * @returns {Object|null} Trace context with `traceId`, `spanId` and `sampled`, or null
+   */
+  getTraceContext() {
+    return this.contextStorage.getStore()?.trace || getEnvTraceContext();
+  }
+
+  /**
+   * Gets headers that propagate the current trace context on outgoing calls, so downstream
+   * services log the same trace ID.
+   * @returns {Object} Headers such as `traceparent`, `tracestate` and `X-Amzn-Trace-Id`
+   */
+  getTraceHeaders() {
+    return createTraceHeaders(this.getTraceContext());
+  }
+
+  /**
+   * Runs a function with the trace context of an incoming event. Entries written within `fn`,
+   * including any async work it starts, carry its `traceId` and `spanId`. withLogger does this
+   * for every invocation.
+   * @param {Object|null} trace - Trace context, e.g. from `extractTraceContext(event)`
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of `fn`
+   */
+  runWithTrace(trace, fn) {
+    const parent = this.contextStorage.getStore();
+    return this.contextStorage.run({
+      context: parent?.context,
+      fields: parent?.fields,
+      buffer: parent?.buffer || [],
+      trace: trace || parent?.trace
+    }, fn);
+  }
+
+  /**
+   * Creates a logger for a named module. When the log level flag is a JSON object of
+   * per-module levels, entries from this logger are filtered using the module's entry.
+   * The module name is also added to every entry as the `module` field.
+   * @param {string} name - Module name, matching a key of the log level flag
+   * @returns {Logger} Module logger
+   */
+  forModule(name) {
+    const moduleLogger = this.child({ module: name });
+    moduleLogger.moduleName = name;
+    return moduleLogger;
+  }
+
+  /**
+   * Gets the LaunchDarkly context for the current async call chain.
+   * Falls back to the context the logger was initialized with outside of runWithContext.
+   * @returns {Object} LaunchDarkly context
+   */
+  getContext() {
+    return this.contextStorage.getStore()?.context || this.context;
+  }
+
+  /**
+   * Runs a function with its own LaunchDarkly context. Log level evaluation and entry fields
+   * inside `fn`, including any async work it starts, use this context instead of the one passed
+   * to initialize, so concurrent requests don't overwrite each other's context.
+   * Calls can be nested; fields are merged with those of the enclosing call.
+   * @param {Object|null} context - LaunchDarkly context, or null to keep the enclosing context
+   * @param {Function} fn - Function to run
+   * @param {Object} fields - Optional fields to bind to every entry written within `fn`
+   * @returns {*} Return value of `fn`
+   */
+  runWithContext(context, fn, fields = {}) {
+    const parent = this.contextStorage.getStore();
+    return this.contextStorage.run({
+      context: context || parent?.context,
+      fields: { ...parent?.fields, ...fields },
+      buffer: parent?.buffer || [],
+      trace: parent?.trace
+    }, fn);
+  }
+
+  /**
+   * Creates a child logger that adds the given fields to every entry it writes.
+   * The child shares this logger's LaunchDarkly client, flag keys and level evaluation,
+   * so initializing or closing the parent applies to all of its children.
+   * Children can be nested, each level adding to the fields of its parent.
+   * @param {Object} fields - Fields to bind to every entry, e.g. `{ orderId, tenant }`
+   * @returns {Logger} Child logger
+   */
+  child(fields = {}) {
+    const child = Object.create(this);
+    child.bindings = { ...this.bindings, ...fields };
+    return child;
+  }
+
+  /**
+   * Gets the key of the service context the logger was initialized with.
+   * @private
+   * @returns {string|undefined} Service context key
+   */
+  getServiceKey() {
+    return this.getServiceContext()?.key;
+  }
+
+  /**
+   * Gets the service context the logger was initialized with.
+   * @private
+   * @returns {Object|undefined} Service context
+   */
+  getServiceContext() {
+    const context = this.getContext();
+    if (!context) return undefined;
+    if (context.kind === 'service') return context;
+    return context.service;
+  }
+
+  /**
+   * Formats log messages to handle multiple arguments and objects
+   * @private
+   * @param {Array} args - Arguments to format
+   * @returns {string} Formatted message
+   */
+  formatMessage(args) {
+    return args.map(arg => 
+      typeof arg === 'object' ? stringifyObject(arg) : String(arg)
+    ).join(' ');
+  }
+
+  /**
+   * Waits for every transport to finish writing the entries it was given, so none are lost when
+   * Lambda freezes the execution environment. Winston transports are drained once their stream
+   * buffers are empty, and sinks once the promises returned by `write` have settled and their
+   * optional `flush()` has completed. If that takes longer than the timeout, a warning naming the
+   * entries still pending and the sinks whose `flush()` didn't complete is written, and the
+   * pending entries are reported as dropped.
+   * @param {number} [timeoutMs=2000] - Maximum time to wait in milliseconds
+   * @returns {Promise<{drained: boolean, dropped: number, unflushed: Array<string>}>} Whether every
+   *   transport drained in time, the number of entries that were still pending when the timeout
+   *   expired, and the names of the sinks whose `flush()` didn't complete
+   */
+  async flush(timeoutMs = DEFAULT_FLUSH_TIMEOUT_MS) {
+    const flushes = this.sinks.filter(({ sink }) => typeof sink.flush === 'function').map(({ sink, name }) => {
+      const flushing = { name, settled: false };
+      flushing.promise = Promise.resolve()
+        .then(() => sink.flush())
+        .catch(error => this.reportTransportError(name, error))
+        .finally(() => { flushing.settled = true; });
+      return flushing;
+    });
+    if (flushes.length === 0 && this.getPendingEntryCount() === 0) {
+      return { drained: true, dropped: 0, unflushed: [] };
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    let timer;
+    await Promise.race([
+      Promise.all(flushes.map(({ promise }) => promise)),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+
+    let dropped = this.getPendingEntryCount();
+    while (dropped > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, FLUSH_POLL_INTERVAL_MS));
+      dropped = this.getPendingEntryCount();
+    }
+
+    const unflushed = flushes.filter(({ settled }) => !settled).map(({ name }) => name);
+    const drained = dropped === 0 && unflushed.length === 0;
+    if (!drained) {
+      const problems = [
+        dropped > 0 ? `${dropped} entries were dropped` : null,
+        unflushed.length ? `flush() did not complete for ${unflushed.map(name => `'${name}'`).join(', ')}` : null
+      ].filter(Boolean);
+      this.write('warn', [`Transports did not finish writing within ${timeoutMs}ms: ${problems.join(', ')}`, {
+        dropped,
+        unflushed,
+        timeoutMs
+      }]);
+    }
+    // Writes still pending, including the warning's, are given up on so the next flush doesn't wait for them
+    this.transportState.pending.clear();
+    return { drained, dropped, unflushed };
+  }
+
+  /**
+   * Counts the entries given to transports that they haven't finished writing yet.
+   * @private
+   * @returns {number} Number of pending entries
+   */
+  getPendingEntryCount() {
+    const streams = [this.logger, ...(this.logger.transports || [])];
+    const buffered = streams.reduce((count, stream) =>
+      count + (stream.writableLength || 0) + (stream.readableLength || 0), 0);
+    return buffered + this.transportState.pending.size;
+  }
+
+  /**
+   * Writes any pending metrics, flushes the transports and closes the LaunchDarkly client connection.
+   * Should be called when the logger is no longer needed.
+   */
+  async close() {
+    this.flushMetrics();
+    await this.flush();
+    await this.ldClient?.close();
+  }
+
+  /**
+   * Creates an initialized logger for tests, backed by the LaunchDarkly SDK's TestData source
+   * instead of a connection to LaunchDarkly. Entries are kept by an in-memory capture sink and
+   * not written to the console unless `console` is true.
+   * @param {Object} [options] - Test options; other options are passed on to initialize
+   * @param {Object} [options.flags] - Initial flag values by flag key, e.g. `{ 'log-level': 'debug' }`
+   * @param {Object} [options.context] - Evaluation context (default: a test service and user)
+   * @param {string} [options.logLevelFlagKey='log-level'] - Log level flag key
+   * @param {boolean} [options.console=false] - Whether entries are also written to the console
+   * @param {Object} [options.levels] - Custom levels, as for the constructor
+   * @returns {Promise<{logger: Logger, captured: Object, testData: Object, setFlag: Function}>}
+   *   The logger, its capture sink, the TestData source, and `setFlag(key, value)` for changing flags
+   */
+  static async createForTesting({
+    flags = {},
+    context = TEST_CONTEXT,
+    logLevelFlagKey = TEST_LOG_LEVEL_FLAG_KEY,
+    console: writeToConsole = false,
+    transports = [],
+    levels,
+    ...options
+  } = {}) {
+    const testData = new LaunchDarkly.integrations.TestData();
+    const setFlag = (key, value) => testData.update(testData.flag(key).valueForAll(value));
+    await Promise.all(Object.entries(flags).map(([key, value]) => setFlag(key, value)));
+
+    const client = LaunchDarkly.init(OFFLINE_SDK_KEY, {
+      updateProcessor: testData.getFactory(),
+      sendEvents: false,
+      logger: LaunchDarkly.basicLogger({ level: 'none' })
+    });
+
+    const captured = createCaptureSink();
+    const logger = new Logger({ levels });
+    if (!writeToConsole) {
+      for (const transport of logger.logger.transports || []) {
+        transport.silent = true;
+      }
+    }
+
+    await logger.initialize(client, context, {
+      ...options,
+      logLevelFlagKey,
+      transports: [...transports, captured]
+    });
+    captured.clear();
+
+    return { logger, captured, testData, setFlag };
+  }
+}
+
+/**
+ * Creates a LaunchDarkly client that never connects to LaunchDarkly.
+ * @private
+ * @param {string} [sdkKey] - SDK key, only used for identification
+ * @param {string|Array<string>} [flagFile] - Path(s) of flag data files; without them every flag
+ *   evaluates to its default
+ * @param {Object} clientOptions - Additional LaunchDarkly client options
+ * @returns {Object} LaunchDarkly client
+ */
+function createOfflineClient(sdkKey, flagFile, clientOptions) {
+  if (typeof sdkKey !== 'string') {
+    sdkKey = OFFLINE_SDK_KEY;
+  }
+  if (!flagFile) {
+    return LaunchDarkly.init(sdkKey, { ...clientOptions, offline: true });
+  }
+
+  // The SDK ignores data sources in offline mode, so the file source is used with events disabled instead
+  const fileData = new LaunchDarkly.integrations.FileDataSourceFactory({ paths: [].concat(flagFile) });
+  return LaunchDarkly.init(sdkKey, {
+    sendEvents: false,
+    ...clientOptions,
+    updateProcessor: fileData.getFactory()
+  });
+}
+
+/**
+ * Parses a log level given as a number or a level name.
+ * Names are matched case-insensitively, ignoring surrounding whitespace. Numbers outside
+ * the 0-5 range are clamped to the nearest level and reported as invalid.
+ * @private
+ * @param {*} value - Level number, numeric string or level name
+ * @param {Object} [levels] - Level definitions by name, including any custom levels
+ * @returns {{valid: boolean, level: number|undefined}} Parsed level; `level` is the clamped
+ *   level for out-of-range numbers and undefined when the value can't be interpreted
+ */
+function parseLogLevel(value, levels = BUILT_IN_LEVELS) {
+  if (typeof value === 'string') {
+    const name = value.trim().toUpperCase();
+    const levelName = Object.keys(levels).find(candidate => candidate.toUpperCase() === name);
+    if (levelName) {
+      return { valid: true, level: levels[levelName].rank };
+    }
+    if (name === '' || !Number.isFinite(Number(name))) {
+      return { valid: false, level: undefined };
+    }
+    value = Number(name);
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { valid: false, level: undefined };
+  }
+
+  const level = Math.min(Math.max(Math.trunc(value), LogLevel.FATAL), LogLevel.TRACE);
+  return { valid: level === value, level };
+}
+
+/**
+ * Selects the level of a module from a log level flag value. Values that are not per-module
+ * objects apply to every module.
+ * @private
+ * @param {*} value - Log level flag value
+ * @param {string} [moduleName] - Module name, undefined for loggers without one
+ * @returns {*} Level of the module, not yet parsed
+ */
+function selectModuleLevel(value, moduleName) {
+  if (!isPlainObject(value)) return value;
+  return moduleName !== undefined && value[moduleName] !== undefined
+    ? value[moduleName]
+    : value.default ?? LogLevel.INFO;
+}
+
+/**
+ * Gets the name of the level definition a level refers to, keeping custom level names that
+ * share a rank with a built-in level.
+ * @private
+ * @param {string|number} value - Level name or number
+ * @param {Object} levels - Level definitions by name, including any custom levels
+ * @returns {string|undefined} Level name, e.g. 'debug', or undefined for invalid levels
+ */
+function getLevelDefinitionName(value, levels) {
+  if (typeof value === 'string') {
+    const name = Object.keys(levels).find(candidate => candidate.toUpperCase() === value.trim().toUpperCase());
+    if (name) return name;
+  }
+  const { valid, level } = parseLogLevel(value, levels);
+  return valid ? getLevelName(level, levels).toLowerCase() : undefined;
+}
+
+/**
+ * Gets the name of a log level for use in messages. Built-in levels take precedence over
+ * custom levels of the same rank.
+ * @private
+ * @param {number} level - Log level
+ * @param {Object} [levels] - Level definitions by name, including any custom levels
+ * @returns {string} Level name, e.g. 'DEBUG'
+ */
+function getLevelName(level, levels = BUILT_IN_LEVELS) {
+  const name = Object.keys(levels).find(candidate => levels[candidate].rank === level);
+  return name ? name.toUpperCase() : String(level);
+}
+
+/**
+ * Stringifies an object for a log message, falling back to safe serialization for values
+ * JSON.stringify can't handle such as circular structures and BigInts.
+ * @private
+ * @param {Object} value - Object to stringify
+ * @returns {string} JSON representation
+ */
+function stringifyObject(value) {
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return JSON.stringify(toSerializable(value), null, 2);
+  }
+}
+
+/**
+ * Resolves entry size limits, applying overrides on top of the given limits.
+ * @private
+ * @param {Object} limits - Current limits
+ * @param {Object} overrides - Limits to apply, invalid values are ignored
+ * @returns {{maxFieldLength: number, maxEntrySize: number}} Resolved limits
+ */
+function resolveLimits(limits, overrides = {}) {
+  const resolved = { ...limits };
+  for (const key of ['maxFieldLength', 'maxEntrySize']) {
+    const value = overrides[key];
+    if (Number.isInteger(value) && value > 0) resolved[key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Copies fields onto a log entry, prefixing keys that collide with reserved entry fields.
+ * @private
+ * @param {Object} target - Entry fields to add to
+ * @param {Object} source - Fields to add
+ */
+function assignFields(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[RESERVED_FIELDS.includes(key) ? `_${key}` : key] = value;
+  }
+}
+
+/**
+ * Gets a string identifying an evaluation context by its kinds and keys. The `request` kind is
+ * left out, since its key changes with every invocation.
+ * @private
+ * @param {Object} context - LaunchDarkly context
+ * @returns {string} Context identifier, e.g. 'service:orders-api|user:user-123'
+ */
+function getContextKey(context) {
+  if (!context || context === NO_CONTEXT) return '';
+  const contexts = context.kind === 'multi' ? context : { [context.kind || 'user']: context };
+  return Object.keys(contexts)
+    .filter(kind => kind !== 'kind' && kind !== 'request')
+    .sort()
+    .map(kind => `${kind}:${contexts[kind]?.key}`)
+    .join('|');
+}
+
+/**
+ * Whether the next invocation handled by withLogger is the first in this execution environment.
+ */
+let coldStart = true;
+
+/**
+ * Starts watching an invocation for approaching its timeout.
+ * @private
+ * @param {Logger} target - Logger to warn with
+ * @param {Object} lambdaContext - Lambda context of the invocation
+ * @param {number|null} fraction - Fraction of the remaining time after which to warn, or null to not watch
+ * @param {Object} fields - Additional fields of the warning
+ * @returns {Function} Stops watching
+ */
+function watchTimeout(target, lambdaContext, fraction, fields) {
+  if (!fraction || typeof lambdaContext.getRemainingTimeInMillis !== 'function') return () => {};
+
+  const startTime = Date.now();
+  const timeoutMs = lambdaContext.getRemainingTimeInMillis();
+  const timer = setTimeout(() => {
+    target.warnTimeoutApproaching({
+      ...fields,
+      elapsedMs: Date.now() - startTime,
+      remainingMs: lambdaContext.getRemainingTimeInMillis(),
+      timeoutMs
+    }).catch(() => {});
+  }, timeoutMs * fraction);
+  timer.unref?.();
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Last parsed value of the `_X_AMZN_TRACE_ID` environment variable, which Lambda sets per invocation.
+ */
+let envTrace = { header: undefined, trace: null };
+
+/**
+ * Gets the X-Ray trace context from the `_X_AMZN_TRACE_ID` environment variable.
+ * @private
+ * @returns {Object|null} Trace context, or null outside of Lambda
+ */
+function getEnvTraceContext() {
+  const header = process.env._X_AMZN_TRACE_ID;
+  if (header !== envTrace.header) {
+    envTrace = { header, trace: extractTraceContext(undefined, header) };
+  }
+  return envTrace.trace;
+}
+
+/**
+ * Reads the fallback log level from the LOG_LEVEL environment variable.
+ * Invalid values are ignored so that a misconfigured environment can't prevent the logger from loading.
+ * @private
+ * @param {Object} [levels] - Level definitions by name, including any custom levels
+ * @returns {number} Level from LOG_LEVEL, or INFO
+ */
+function getEnvLogLevel(levels) {
+  const { valid, level } = parseLogLevel(process.env.LOG_LEVEL, levels);
+  return valid ? level : LogLevel.INFO;
+}
+
+/**
+ * Checks whether a transport is a Winston transport rather than a simple sink.
+ * @private
+ * @param {Object} transport - Transport to check
+ * @returns {boolean} Whether the transport is a Winston transport
+ */
+function isWinstonTransport(transport) {
+  return typeof transport?.log === 'function';
+}
+
+/**
+ * Checks whether a value is a plain object literal (not an array, Error, Date, etc.).
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Shared logger instance. Libraries should use createLogger instead, so that their flag keys,
+ * context and transports don't conflict with the application's.
+ */
+const logger = new Logger();
+
+/**
+ * Creates an independent logger. Each logger has its own flag keys, context, LaunchDarkly client,
+ * transports and output format, and creating one has no effect on Winston's global configuration,
+ * so libraries can log without interfering with the application or each other.
+ * Flag keys given here take precedence over the environment variables used by the exported `logger`.
+ * @param {Object} [options] - Constructor options, flag keys and context; see Logger
+ * @returns {Logger} New logger, to be initialized before use
+ */
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+/**
+ * Wraps a Lambda handler so that the logger lifecycle is managed automatically.
+ * The logger is initialized once per container, on the first invocation, and every entry
+ * written during an invocation carries its `awsRequestId`, `functionName` and `functionVersion`,
+ * and the `traceId` and `spanId` of the event's trace context.
+ * The start, end and failure of each invocation are logged, and metrics, transports and LaunchDarkly
+ * events are flushed before the handler returns. The LaunchDarkly client stays open so warm invocations reuse it.
+ * Entries carry `coldStart`, and the start of the first invocation in the execution environment
+ * is logged with `initDurationMs`, the time since the process started, and `ldInitDurationMs`, the
+ * time spent initializing the logger. A warning is written when an invocation has used a fraction of
+ * the time it had left when it started, as given by `getRemainingTimeInMillis()`.
+ * @param {Function} handler - Async Lambda handler `(event, context) => result`
+ * @param {Object} options - Configuration options
+ * @param {string|Object} options.sdkKeyOrClient - LaunchDarkly SDK key or an existing client instance,
+ *   defaults to the LD_SDK_KEY environment variable
+ * @param {Object} options.context - LaunchDarkly context object passed to initialize
+ * @param {boolean|Object} options.eventContext - Evaluates flags for each invocation with a context built
+ *   from its event by createContextFromEvent, either `true` or its options. The service context defaults
+ *   to the one in `context`, which itself defaults to the context of the first event
+ * @param {Logger} options.logger - Logger instance to manage, defaults to the exported singleton
+ * @param {boolean|Object} options.timeoutWarning - `{ fraction }` of the remaining time after which to
+ *   warn (default 0.8), or false to disable the warning
+ * @param {...*} options.initializeOptions - Any other options are passed to Logger.initialize
+ * @returns {Function} Wrapped Lambda handler
+ */
+function withLogger(handler, options = {}) {
+  const {
+    sdkKeyOrClient = process.env.LD_SDK_KEY,
+    context,
+    eventContext: eventContextOptions,
+    logger: target = logger,
+    timeoutWarning = true,
+    ...initializeOptions
+  } = options;
+  const timeoutFraction = timeoutWarning ? timeoutWarning.fraction ?? DEFAULT_TIMEOUT_WARNING_FRACTION : null;
+  if (timeoutFraction !== null && !(timeoutFraction > 0 && timeoutFraction <= 1)) {
+    throw new Error(`Invalid timeoutWarning fraction ${JSON.stringify(timeoutFraction)}, expected a number greater than 0 and at most 1`);
+  }
+  let initialization = null;
+
+  return async (event, lambdaContext = {}) => {
+    const isColdStart = coldStart;
+    coldStart = false;
+    const initDurationMs = Math.round(process.uptime() * 1000);
+    const initStartTime = Date.now();
+
+    let eventContext = null;
+    if (eventContextOptions) {
+      const service = context?.kind === 'service' ? context : context?.service;
+      eventContext = createContextFromEvent(event, { service, ...eventContextOptions });
+    }
+
+    if (!initialization) {
+      initialization = target.initialize(sdkKeyOrClient, context || eventContext, initializeOptions).catch((error) => {
+        // Allow the next invocation to retry instead of caching the failure for the container's lifetime
+        initialization = null;
+        throw error;
+      });
+    }
+    await initialization;
+    const coldStartFields = isColdStart ? { initDurationMs, ldInitDurationMs: Date.now() - initStartTime } : null;
+
+    const fields = {
+      awsRequestId: lambdaContext.awsRequestId,
+      functionName: lambdaContext.functionName,
+      functionVersion: lambdaContext.functionVersion,
+      coldStart: isColdStart
+    };
+
+    return target.runWithTrace(extractTraceContext(event), () => target.runWithContext(eventContext, async () => {
+      const startTime = Date.now();
+      const stopWatchingTimeout = watchTimeout(target, lambdaContext, timeoutFraction, coldStartFields);
+
+      try {
+        await target.info('Invocation started', ...(coldStartFields ? [coldStartFields] : []));
+        const result = await handler(event, lambdaContext);
+        await target.info('Invocation completed', { durationMs: Date.now() - startTime });
+        return result;
+      } catch (error) {
+        await target.error('Invocation failed:', error, { durationMs: Date.now() - startTime });
+        throw error;
+      } finally {
+        stopWatchingTimeout();
+        target.flushMetrics();
+        await target.flush();
+        await target.ldClient?.flush?.();
+      }
+    }, fields));
+  };
+}
 
 module.exports = {
   Logger,
   LogLevel,
-  logger
+  OutputFormat,
+  createCaptureSink,
+  createContextFromEvent,
+  createLogger,
+  createTraceHeaders,
+  extractTraceContext,
+  logger,
+  withLogger
 };
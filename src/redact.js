@@ -0,0 +1,156 @@
+/**
+ * Redaction of secrets and PII in logged values.
+ *
+ * Values are redacted using three kinds of rules:
+ * - paths: Dot-separated key paths from the root of a logged argument, e.g. 'headers.authorization'.
+ *   A '*' segment matches any key or array index.
+ * - keys: Key name patterns. Any property whose name matches is redacted wherever it appears.
+ *   Strings are matched against the whole key name, case-insensitively.
+ * - values: Value patterns. Matches inside string values are replaced, e.g. emails in a message.
+ *
+ * Strings used for key and value patterns are regular expression sources, so rules can also
+ * be supplied from a LaunchDarkly JSON flag.
+ */
+
+/**
+ * Replacement used for redacted values.
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Credit card numbers, optionally separated by spaces or dashes. Matches are only redacted
+ * when they pass the Luhn check, so that other long numbers such as timestamps are kept.
+ */
+const CREDIT_CARD_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+
+/**
+ * Rules applied unless built-in redaction is disabled.
+ */
+const DEFAULT_REDACTION_RULES = {
+  paths: [],
+  keys: [
+    'authorization',
+    'proxy-authorization',
+    'cookie',
+    'set-cookie',
+    'x-api-key',
+    'api[-_]?key',
+    'password',
+    'passwd',
+    'secret',
+    'client[-_]?secret',
+    '(access|refresh|id)[-_]?token'
+  ],
+  values: [
+    // Bearer tokens
+    /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    // JSON Web Tokens
+    /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    // Email addresses. The local part only starts where a run of its characters starts and is
+    // bounded, so long dotted strings without an @ are scanned in linear time
+    /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9.-]{1,255}\.[A-Za-z]{2,}\b/g,
+    CREDIT_CARD_PATTERN
+  ]
+};
+
+/**
+ * Checks a number against the Luhn checksum used by payment cards.
+ * @private
+ * @param {string} number - Digits, optionally separated by spaces or dashes
+ * @returns {boolean} Whether the checksum is valid
+ */
+function isLuhnValid(number) {
+  const digits = number.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Compiles a key name pattern.
+ * @private
+ * @param {string|RegExp} pattern - Regular expression or regular expression source
+ * @returns {RegExp} Compiled pattern
+ */
+function compileKeyPattern(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`, 'i');
+}
+
+/**
+ * Compiles a value pattern, making sure it replaces every match.
+ * @private
+ * @param {string|RegExp} pattern - Regular expression or regular expression source
+ * @returns {RegExp} Compiled pattern
+ */
+function compileValuePattern(pattern) {
+  if (!(pattern instanceof RegExp)) return new RegExp(pattern, 'g');
+  return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+/**
+ * Creates a function that returns a redacted copy of a value. The original value is never modified.
+ * @param {...Object} ruleSets - Rule sets to combine, each with optional `paths`, `keys` and `values` arrays
+ * @returns {Function} Redactor `(value) => redactedCopy`
+ */
+function createRedactor(...ruleSets) {
+  const paths = [];
+  const keys = [];
+  const values = [];
+
+  for (const rules of ruleSets) {
+    if (!rules) continue;
+    paths.push(...(rules.paths || []).map(path => String(path).split('.')));
+    keys.push(...(rules.keys || []).map(compileKeyPattern));
+    values.push(...(rules.values || []).map(compileValuePattern));
+  }
+
+  const redactString = (value) => values.reduce((result, pattern) => result.replace(pattern, (match) =>
+    pattern === CREDIT_CARD_PATTERN && !isLuhnValid(match) ? match : REDACTED
+  ), value);
+
+  const isRedactedKey = (key, path) => {
+    if (keys.some(pattern => {
+      pattern.lastIndex = 0;
+      return pattern.test(key);
+    })) {
+      return true;
+    }
+    return paths.some(rule => rule.length === path.length &&
+      rule.every((segment, index) => segment === '*' || segment === path[index]));
+  };
+
+  const redactValue = (value, path, seen) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+
+    const isArray = Array.isArray(value);
+    const proto = Object.getPrototypeOf(value);
+    if (!isArray && proto !== Object.prototype && proto !== null) return value;
+
+    // Keep circular references pointing at the copy instead of recursing forever
+    if (seen.has(value)) return seen.get(value);
+    const copy = isArray ? [] : {};
+    seen.set(value, copy);
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = [...path, key];
+      copy[key] = isRedactedKey(key, childPath) ? REDACTED : redactValue(child, childPath, seen);
+    }
+    return copy;
+  };
+
+  return (value) => redactValue(value, [], new Map());
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACTION_RULES,
+  createRedactor
+};
@@ -0,0 +1,200 @@
+/**
+ * Conversion of logged values into plain, JSON-serializable data.
+ *
+ * Errors are converted into objects with their name, message, stack, code, own enumerable
+ * properties, `cause` chain and, for AggregateError, the aggregated `errors`. Circular
+ * references are replaced with a marker, and BigInts, Maps, Sets, Buffers and typed arrays
+ * are converted into values JSON.stringify can represent. Strings longer than the field limit
+ * and entries larger than the entry limit are truncated with a visible marker.
+ */
+
+const { types } = require('node:util');
+
+/**
+ * Marker written in place of a circular reference.
+ */
+const CIRCULAR = '[Circular]';
+
+/**
+ * Checks whether a value is an Error, including errors created in another realm.
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is an Error
+ */
+function isError(value) {
+  return value instanceof Error || types.isNativeError(value);
+}
+
+/**
+ * Converts an Error into a plain object.
+ * @private
+ * @param {Error} error - Error to convert
+ * @param {Function} convert - Converts nested values
+ * @returns {Object} Serialized error
+ */
+function serializeError(error, convert) {
+  const result = {
+    name: error.name,
+    message: error.message
+  };
+  if (error.stack) result.stack = error.stack;
+  if (error.code !== undefined) result.code = convert(error.code);
+
+  for (const [key, value] of Object.entries(error)) {
+    if (!(key in result)) result[key] = convert(value);
+  }
+
+  // cause and AggregateError.errors are own but non-enumerable properties
+  if (error.cause !== undefined) result.cause = convert(error.cause);
+  if (Array.isArray(error.errors)) result.errors = error.errors.map(convert);
+
+  return result;
+}
+
+/**
+ * Truncates a string to the given number of characters, appending a marker with the
+ * number of characters removed.
+ * @param {string} value - String to truncate
+ * @param {number} maxLength - Maximum number of characters kept
+ * @returns {string} Truncated string, or the original if it is short enough
+ */
+function truncateString(value, maxLength) {
+  if (value.length <= maxLength) return value;
+  return `${value.slice(0, maxLength)}…[truncated ${value.length - maxLength} chars]`;
+}
+
+/**
+ * Converts a value into plain data that can be passed to JSON.stringify.
+ * The original value is never modified.
+ * @param {*} value - Value to convert
+ * @param {Object} options - Conversion options
+ * @param {number} options.maxFieldLength - Maximum length of string values
+ * @returns {*} Serializable copy of the value
+ */
+function toSerializable(value, { maxFieldLength = Infinity } = {}) {
+  const ancestors = new Set();
+
+  const convertObject = (current) => {
+    if (isError(current)) return serializeError(current, convert);
+    if (Array.isArray(current)) return current.map(convert);
+    if (current instanceof Date) {
+      return Number.isNaN(current.getTime()) ? 'Invalid Date' : current.toISOString();
+    }
+    if (current instanceof Map) {
+      const copy = {};
+      for (const [key, child] of current) {
+        copy[typeof key === 'string' ? key : String(convert(key))] = convert(child);
+      }
+      return copy;
+    }
+    if (current instanceof Set) return Array.from(current, convert);
+    if (Buffer.isBuffer(current)) {
+      return { type: 'Buffer', byteLength: current.length, base64: convert(current.toString('base64')) };
+    }
+    if (ArrayBuffer.isView(current)) {
+      return current instanceof DataView
+        ? { type: 'DataView', byteLength: current.byteLength }
+        : Array.from(current, convert);
+    }
+    if (current instanceof ArrayBuffer) return { type: 'ArrayBuffer', byteLength: current.byteLength };
+    if (typeof current.toJSON === 'function') return convert(current.toJSON());
+
+    const copy = {};
+    for (const [key, child] of Object.entries(current)) {
+      const converted = convert(child);
+      if (converted !== undefined) copy[key] = converted;
+    }
+    return copy;
+  };
+
+  const convert = (current) => {
+    switch (typeof current) {
+      case 'string':
+        return truncateString(current, maxFieldLength);
+      case 'bigint':
+        return `${current}n`;
+      case 'symbol':
+        return current.toString();
+      case 'function':
+        return undefined;
+      case 'object':
+        break;
+      default:
+        return current;
+    }
+    if (current === null) return current;
+    if (ancestors.has(current)) return CIRCULAR;
+
+    ancestors.add(current);
+    try {
+      return convertObject(current);
+    } catch (error) {
+      // Throwing getters or toJSON methods shouldn't make the log call fail
+      return `[Unserializable: ${error.message}]`;
+    } finally {
+      ancestors.delete(current);
+    }
+  };
+
+  return convert(value);
+}
+
+/**
+ * Keeps a log entry within a size limit. The largest fields are replaced with a marker
+ * until the entry fits. If the fields are still too large, the last ones are dropped and
+ * counted in a `_truncatedFields` field, leaving the message at least half of the limit.
+ * The message is truncated last if the entry is still too large.
+ * Sizes are measured as serialized JSON, so the limit is approximate.
+ * @param {{message: string, fields: Object}} entry - Log entry with serializable fields
+ * @param {number} maxEntrySize - Maximum size of the entry in bytes
+ * @returns {{message: string, fields: Object}} Entry within the limit
+ */
+function limitEntrySize(entry, maxEntrySize) {
+  const sizeOf = (value) => Buffer.byteLength(JSON.stringify(value) ?? '');
+  const messageSize = sizeOf(entry.message);
+  let total = messageSize + sizeOf(entry.fields);
+  if (total <= maxEntrySize) return entry;
+
+  let fields = { ...entry.fields };
+  const fieldSizes = Object.keys(fields)
+    .map(key => [key, sizeOf(fields[key])])
+    .sort((a, b) => b[1] - a[1]);
+
+  for (const [key, fieldSize] of fieldSizes) {
+    if (total <= maxEntrySize) break;
+    const marker = `[truncated ${fieldSize} bytes]`;
+    if (fieldSize <= sizeOf(marker)) continue;
+    fields[key] = marker;
+    total -= fieldSize - sizeOf(marker);
+  }
+
+  // Many small fields can't be replaced one by one, so they are collapsed into a count.
+  // Bound fields such as the service and trace IDs come first and are kept longest.
+  const fieldBudget = maxEntrySize - Math.min(messageSize, Math.floor(maxEntrySize / 2));
+  let fieldsSize = total - messageSize;
+  if (total > maxEntrySize && fieldsSize > fieldBudget) {
+    const keys = Object.keys(fields);
+    let kept = keys.length;
+    fieldsSize += sizeOf({ _truncatedFields: keys.length });
+    while (kept > 0 && fieldsSize > fieldBudget) {
+      kept--;
+      fieldsSize -= sizeOf(keys[kept]) + sizeOf(fields[keys[kept]]) + 2;
+    }
+    fields = Object.fromEntries(keys.slice(0, kept).map(key => [key, fields[key]]));
+    fields._truncatedFields = keys.length - kept;
+    total = messageSize + sizeOf(fields);
+  }
+
+  let message = entry.message;
+  if (total > maxEntrySize) {
+    message = truncateString(message, Math.max(0, message.length - (total - maxEntrySize)));
+  }
+  return { message, fields };
+}
+
+module.exports = {
+  CIRCULAR,
+  isError,
+  limitEntrySize,
+  toSerializable,
+  truncateString
+};
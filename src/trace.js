@@ -0,0 +1,122 @@
+/**
+ * Trace correlation with AWS X-Ray and W3C Trace Context.
+ *
+ * Trace contexts are read from the `traceparent` and `tracestate` headers of API Gateway and ALB
+ * events, or from the X-Ray trace header Lambda provides in the `_X_AMZN_TRACE_ID` environment
+ * variable. W3C headers take precedence since they carry the caller's trace. The same IDs can be
+ * propagated on outgoing calls with createTraceHeaders.
+ */
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const XRAY_ROOT_PATTERN = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * Parses a W3C traceparent header, e.g. '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'.
+ * @param {string} header - traceparent header value
+ * @returns {{traceId: string, spanId: string, sampled: boolean, traceparent: string}|null} Trace context,
+ *   or null if the header is missing or invalid
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header ?? '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [traceparent, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1, traceparent };
+}
+
+/**
+ * Parses an X-Ray trace header, e.g. 'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1'.
+ * @param {string} header - X-Ray trace header value
+ * @returns {{traceId: string, spanId: string|undefined, sampled: boolean|undefined, xrayTraceHeader: string}|null}
+ *   Trace context, or null if the header is missing or has no root trace ID
+ */
+function parseXRayTraceHeader(header) {
+  if (!header) return null;
+
+  const parts = {};
+  for (const part of String(header).split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.trim()] = value.trim();
+  }
+  if (!parts.Root) return null;
+
+  return {
+    traceId: parts.Root,
+    spanId: parts.Parent,
+    sampled: parts.Sampled === undefined ? undefined : parts.Sampled === '1',
+    xrayTraceHeader: String(header).trim()
+  };
+}
+
+/**
+ * Gets the headers of an API Gateway (REST or HTTP API) or ALB event with lower-case names.
+ * Single-value headers take precedence over the first value of multi-value headers.
+ * @param {Object} event - Lambda event
+ * @returns {Object} Headers by lower-case name
+ */
+function getHeaders(event) {
+  const headers = {};
+  for (const [name, values] of Object.entries(event?.multiValueHeaders || {})) {
+    if (Array.isArray(values) && values.length) headers[name.toLowerCase()] = values[0];
+  }
+  for (const [name, value] of Object.entries(event?.headers || {})) {
+    if (value != null) headers[name.toLowerCase()] = value;
+  }
+  return headers;
+}
+
+/**
+ * Extracts the trace context of an invocation.
+ * @param {Object} [event] - Lambda event; headers are read from API Gateway and ALB events
+ * @param {string} [xrayTraceHeader] - X-Ray trace header, defaults to the `_X_AMZN_TRACE_ID`
+ *   environment variable or the event's X-Amzn-Trace-Id header
+ * @returns {Object|null} Trace context with `traceId`, `spanId` and `sampled`, plus the headers it was
+ *   read from, or null if there is none
+ */
+function extractTraceContext(event, xrayTraceHeader = process.env._X_AMZN_TRACE_ID) {
+  const headers = getHeaders(event);
+  const xray = parseXRayTraceHeader(xrayTraceHeader || headers['x-amzn-trace-id']);
+  const w3c = parseTraceparent(headers.traceparent);
+
+  if (!w3c) return xray;
+
+  const trace = { ...w3c };
+  if (headers.tracestate) trace.tracestate = headers.tracestate;
+  if (xray) trace.xrayTraceHeader = xray.xrayTraceHeader;
+  return trace;
+}
+
+/**
+ * Creates headers that propagate a trace context on outgoing calls. X-Ray trace IDs are also
+ * propagated as a W3C traceparent, using the X-Ray ID's hexadecimal digits as the trace ID.
+ * @param {Object|null} trace - Trace context from extractTraceContext
+ * @returns {Object} Headers, e.g. `{ traceparent, tracestate, 'X-Amzn-Trace-Id' }`; empty without a trace
+ */
+function createTraceHeaders(trace) {
+  const headers = {};
+  if (!trace) return headers;
+
+  if (trace.traceparent) {
+    headers.traceparent = trace.traceparent;
+  } else {
+    const root = XRAY_ROOT_PATTERN.exec(trace.traceId || '');
+    if (root && /^[0-9a-f]{16}$/.test(trace.spanId || '')) {
+      headers.traceparent = `00-${root[1]}${root[2]}-${trace.spanId}-${trace.sampled ? '01' : '00'}`;
+    }
+  }
+  if (trace.tracestate) headers.tracestate = trace.tracestate;
+  if (trace.xrayTraceHeader) headers['X-Amzn-Trace-Id'] = trace.xrayTraceHeader;
+  return headers;
+}
+
+module.exports = {
+  createTraceHeaders,
+  extractTraceContext,
+  getHeaders,
+  parseTraceparent,
+  parseXRayTraceHeader
+};
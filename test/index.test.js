@@ -1,8 +1,12 @@
 const { test } = require('node:test');
 const assert = require('node:assert');
-const { Logger, LogLevel } = require('../src/index');
+const { Logger, LogLevel, createCaptureSink, createContextFromEvent, createLogger, createTraceHeaders, extractTraceContext, withLogger } = require('../src/index');
 const winston = require('winston');
 const LaunchDarkly = require('@launchdarkly/node-server-sdk');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 
 // Mock Winston format with proper transform chaining
 const mockFormat = {
@@ -42,8 +46,8 @@ const createBasicMockLogger = (callback) => {
   };
 
   // Add logging methods with proper format handling
-  logger.log = (level, msg) => {
-    const info = { level, message: msg, timestamp: new Date().toISOString() };
+  logger.log = (level, msg, meta = {}) => {
+    const info = { ...meta, level, message: msg, timestamp: new Date().toISOString() };
     if (logger.format && logger.format.transform) {
       const transformed = logger.format.transform(info);
       const output = transformed[Symbol.for('message')] || transformed.message || msg;
@@ -239,6 +243,12 @@ test('SDK messages are logged at correct Winston levels', async (t) => {
     return { level: options.level || 'info' };
   };
 
+  const mockInit = LaunchDarkly.init;
+  LaunchDarkly.init = () => createMockLDClient({ sdkLogLevelFlagKey: 'sdk-log-level', sdkLogLevel: 'debug' });
+  t.after(() => {
+    LaunchDarkly.init = mockInit;
+  });
+
   await logger.initialize('fake-key', { 
     kind: 'multi',
     service: {
@@ -255,10 +265,10 @@ test('SDK messages are logged at correct Winston levels', async (t) => {
   });
 
   // Simulate SDK logging at different levels
-  capturedDestination('error', 'Error message');
-  capturedDestination('warn', 'Warning message');
-  capturedDestination('info', 'Info message');
-  capturedDestination('debug', 'Debug message');
+  capturedDestination.error('error: [LaunchDarkly] Error message');
+  capturedDestination.warn('warn: [LaunchDarkly] Warning message');
+  capturedDestination.info('info: [LaunchDarkly] Info message');
+  capturedDestination.debug('debug: [LaunchDarkly] Debug message');
 
   // Verify messages were logged at correct levels
   assert.ok(loggedMessages.some(log => log.level === 'error' && log.msg.includes('[LaunchDarkly SDK error] Error message')));
@@ -382,6 +392,1520 @@ test('Winston configuration includes custom levels and formatting', async (t) =>
   );
 });
 
+test('JSON output format writes one object per line with structured fields', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('Order placed')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const logger = new Logger({ outputFormat: 'json' });
+  logger.ldClient = createMockLDClient({ logLevel: LogLevel.INFO });
+  logger.context = {
+    kind: 'multi',
+    service: { kind: 'service', key: 'test-service' },
+    user: { kind: 'user', key: 'test-user' }
+  };
+
+  await logger.info('Order placed', { orderId: 42, message: 'shadowed' }, [1, 2]);
+
+  assert.equal(loggedMessages.length, 1);
+  assert.ok(!loggedMessages[0].msg.includes('\n'), 'Entry should be a single line');
+  const entry = JSON.parse(loggedMessages[0].msg);
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.levelNumber, LogLevel.INFO);
+  assert.equal(entry.message, `Order placed ${JSON.stringify([1, 2], null, 2)}`);
+  assert.equal(entry.orderId, 42);
+  assert.equal(entry._message, 'shadowed');
+  assert.equal(entry.service, 'test-service');
+  assert.ok(entry.timestamp);
+
+  // Class instances and Maps are rendered into the message rather than spread into fields
+  class Order {
+    constructor() {
+      this.id = 7;
+      this.level = 'gold';
+    }
+  }
+  await logger.info('Order placed', new Order(), new Map([['message', 'x']]));
+  const instanceEntry = JSON.parse(loggedMessages[1].msg);
+  assert.equal(instanceEntry.id, undefined);
+  assert.equal(instanceEntry._level, undefined);
+  assert.equal(instanceEntry._message, undefined);
+  assert.match(instanceEntry.message, /^Order placed .*"id": 7/s);
+});
+
+test('Output format can be selected during initialization', async (t) => {
+  winston.createLogger = () => createBasicMockLogger();
+  const logger = new Logger();
+  assert.equal(logger.outputFormat, 'pretty');
+
+  await logger.initialize(createMockLDClient(), {
+    kind: 'multi',
+    service: { kind: 'service', key: 'test-service' }
+  }, {
+    logLevelFlagKey: 'app-log-level',
+    outputFormat: 'json'
+  });
+  assert.equal(logger.outputFormat, 'json');
+
+  assert.throws(() => new Logger({ outputFormat: 'xml' }), /Unsupported outputFormat/);
+});
+
+test('withLogger initializes once and binds invocation fields', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('Invocation') || msg.includes('handler')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const logger = new Logger({ outputFormat: 'json' });
+  let initializeCount = 0;
+  let flushCount = 0;
+  const client = {
+    ...createMockLDClient({ logLevel: LogLevel.INFO }),
+    waitForInitialization: async () => { initializeCount++; },
+    flush: async () => { flushCount++; }
+  };
+
+  const handler = withLogger(async (event) => {
+    await logger.info('handler running');
+    if (event.fail) throw new Error('boom');
+    return { statusCode: 200 };
+  }, {
+    logger,
+    sdkKeyOrClient: client,
+    context: { kind: 'service', key: 'test-service' },
+    logLevelFlagKey: 'app-log-level'
+  });
+
+  const lambdaContext = {
+    awsRequestId: 'req-1',
+    functionName: 'test-function',
+    functionVersion: '$LATEST'
+  };
+  assert.deepEqual(await handler({}, lambdaContext), { statusCode: 200 });
+  await assert.rejects(handler({ fail: true }, { ...lambdaContext, awsRequestId: 'req-2' }), /boom/);
+
+  assert.equal(initializeCount, 1, 'Logger should be initialized once per container');
+  assert.equal(flushCount, 2, 'Events should be flushed after every invocation');
+  assert.deepEqual(logger.getBoundFields(), {}, 'Invocation fields should not leak outside the invocation');
+
+  const entries = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.deepEqual(entries.slice(0, 5).map(entry => entry.message), [
+    'Invocation started',
+    'handler running',
+    'Invocation completed',
+    'Invocation started',
+    'handler running'
+  ]);
+  assert.equal(entries[5].message, 'Invocation failed:');
+  assert.equal(entries[5].error.message, 'boom');
+  assert.ok(entries.slice(0, 3).every(entry => entry.awsRequestId === 'req-1'));
+  assert.ok(entries.slice(3).every(entry => entry.awsRequestId === 'req-2'));
+  assert.ok(entries.every(entry => entry.functionName === 'test-function' && entry.functionVersion === '$LATEST'));
+  assert.equal(entries[5].level, 'error');
+  assert.equal(typeof entries[2].durationMs, 'number');
+});
+
+test('Child loggers bind fields and share the parent client', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('child')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const logger = new Logger({ outputFormat: 'json' });
+  const orderLogger = logger.child({ orderId: 42, tenant: 'acme' });
+  const itemLogger = orderLogger.child({ itemId: 'sku-1', tenant: 'globex' });
+
+  // Clients assigned to the parent after the children were created are shared
+  logger.ldClient = createMockLDClient({ logLevel: LogLevel.INFO });
+
+  await orderLogger.info('order child');
+  await itemLogger.info('item child', { quantity: 2 });
+  await itemLogger.debug('suppressed child');
+
+  const [orderEntry, itemEntry] = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.equal(loggedMessages.length, 2);
+  assert.equal(orderEntry.orderId, 42);
+  assert.equal(orderEntry.tenant, 'acme');
+  assert.equal(orderEntry.itemId, undefined);
+  assert.equal(itemEntry.orderId, 42);
+  assert.equal(itemEntry.tenant, 'globex');
+  assert.equal(itemEntry.itemId, 'sku-1');
+  assert.equal(itemEntry.quantity, 2);
+  assert.equal(itemEntry.message, 'item child');
+  assert.deepEqual(logger.bindings, {});
+
+  // Pretty output renders bound fields as key=value pairs
+  logger.setOutputFormat('pretty');
+  await orderLogger.warn('pretty child');
+  assert.match(loggedMessages[2].msg, /WARN: pretty child orderId=42 tenant=acme$/);
+});
+
+test('runWithContext isolates contexts across concurrent requests', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('request')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const logger = new Logger({ outputFormat: 'json' });
+  logger.context = { kind: 'service', key: 'default-service' };
+  logger.ldClient = createMockLDClient({
+    variation: async (flagKey, context) => {
+      // Yield so that the two requests interleave
+      await new Promise(resolve => setImmediate(resolve));
+      return context.user?.key === 'debug-user' ? LogLevel.DEBUG : LogLevel.INFO;
+    }
+  });
+
+  const runRequest = (userKey) => logger.runWithContext({
+    kind: 'multi',
+    service: { kind: 'service', key: `${userKey}-service` },
+    user: { kind: 'user', key: userKey }
+  }, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    await logger.debug(`debug request ${userKey}`);
+    return logger.runWithContext(null, () => logger.getContext().user.key, { nested: true });
+  }, { userKey });
+
+  const results = await Promise.all([runRequest('debug-user'), runRequest('info-user')]);
+  assert.deepEqual(results, ['debug-user', 'info-user']);
+
+  const entries = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.equal(entries.length, 1, 'Only the debug user should log at DEBUG level');
+  assert.equal(entries[0].message, 'debug request debug-user');
+  assert.equal(entries[0].userKey, 'debug-user');
+  assert.equal(entries[0].service, 'debug-user-service');
+
+  // Outside runWithContext the initialized context is used
+  assert.equal(logger.getContext().key, 'default-service');
+  assert.deepEqual(logger.getBoundFields(), {});
+});
+
+test('Log level is cached per context and refreshed on flag updates', async (t) => {
+  winston.createLogger = () => createBasicMockLogger();
+
+  let evaluations = 0;
+  let flagValue = LogLevel.INFO;
+  const client = Object.assign(new EventEmitter(), createMockLDClient({
+    variation: async () => {
+      evaluations++;
+      return flagValue;
+    }
+  }));
+
+  const logger = new Logger();
+  await logger.initialize(client, { kind: 'service', key: 'test-service' }, {
+    logLevelFlagKey: 'app-log-level'
+  });
+
+  for (let i = 0; i < 10; i++) {
+    await logger.info('hot loop');
+  }
+  assert.equal(evaluations, 1, 'Flag should be evaluated once for repeated log calls');
+  assert.equal(logger.shouldLogCached(LogLevel.DEBUG), false, 'Cached levels should be checked synchronously');
+  assert.ok(logger.shouldLog(LogLevel.DEBUG) instanceof Promise, 'shouldLog always returns a Promise');
+  assert.equal(await logger.shouldLog(LogLevel.DEBUG), false);
+  assert.equal(evaluations, 1);
+
+  // A different context gets its own cached level
+  await logger.runWithContext({ kind: 'user', key: 'other-user' }, () => logger.info('other context'));
+  assert.equal(evaluations, 2);
+
+  flagValue = LogLevel.DEBUG;
+  client.emit('update:app-log-level', { key: 'app-log-level' });
+  assert.equal(logger.getCachedLogLevel(), undefined, 'Flag updates should invalidate the cache');
+  assert.equal(await logger.shouldLog(LogLevel.DEBUG), true);
+  assert.equal(evaluations, 3);
+  assert.equal(client.listenerCount('update:app-log-level'), 1);
+});
+
+test('Cached log levels expire after the maximum staleness', async (t) => {
+  winston.createLogger = () => createBasicMockLogger();
+
+  let evaluations = 0;
+  const logger = new Logger({ levelCacheTtlMs: 0 });
+  logger.ldClient = createMockLDClient({
+    variation: async () => {
+      evaluations++;
+      return LogLevel.INFO;
+    }
+  });
+
+  await logger.info('first');
+  await logger.info('second');
+  assert.equal(evaluations, 2, 'A zero staleness should evaluate the flag on every call');
+});
+
+test('Per-module log levels are read from a JSON flag variation', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('query') || msg.includes('request')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let flagValue = { default: LogLevel.INFO, db: LogLevel.TRACE, http: LogLevel.WARN };
+  const logger = new Logger({ outputFormat: 'json', levelCacheTtlMs: 0 });
+  logger.ldClient = createMockLDClient({ variation: async () => flagValue });
+
+  const dbLogger = logger.forModule('db');
+  const httpLogger = logger.forModule('http');
+  const cacheLogger = logger.forModule('cache');
+
+  await dbLogger.trace('db query');
+  await httpLogger.info('http request');
+  await cacheLogger.info('cache query');
+  await cacheLogger.debug('cache debug query');
+  await logger.debug('root debug query');
+
+  const entries = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.deepEqual(entries.map(entry => entry.message), ['db query', 'cache query']);
+  assert.equal(entries[0].module, 'db');
+  assert.equal(await dbLogger.getCurrentLogLevel(), LogLevel.TRACE);
+  assert.equal(await logger.getCurrentLogLevel(), LogLevel.INFO);
+
+  // A plain numeric flag applies to every module
+  flagValue = LogLevel.DEBUG;
+  assert.equal(await dbLogger.getCurrentLogLevel(), LogLevel.DEBUG);
+  assert.equal(await httpLogger.getCurrentLogLevel(), LogLevel.DEBUG);
+});
+
+test('Log level flag accepts level names and replaces invalid values', async (t) => {
+  const warnings = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (level === 'warn') warnings.push(msg);
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let flagValue;
+  const logger = new Logger({ levelCacheTtlMs: 0, fallbackLogLevel: 'warn' });
+  logger.FLAG_KEY = 'app-log-level';
+  logger.ldClient = createMockLDClient({ variation: async () => flagValue });
+
+  const cases = [
+    ['debug', LogLevel.DEBUG],
+    ['DEBUG ', LogLevel.DEBUG],
+    ['Trace', LogLevel.TRACE],
+    ['2', LogLevel.WARN],
+    [4, LogLevel.DEBUG],
+    [42, LogLevel.TRACE],
+    [-1, LogLevel.FATAL],
+    [null, LogLevel.WARN],
+    ['verbose', LogLevel.WARN],
+    [true, LogLevel.WARN]
+  ];
+  for (const [value, expected] of cases) {
+    flagValue = value;
+    assert.equal(await logger.getCurrentLogLevel(), expected, `Flag value ${JSON.stringify(value)}`);
+  }
+
+  // Each invalid value is reported once, with the flag key
+  flagValue = 42;
+  await logger.getCurrentLogLevel();
+  assert.equal(warnings.length, 5);
+  assert.ok(warnings.every(msg => msg.includes("log level flag 'app-log-level'")));
+  assert.ok(warnings[0].includes('Invalid value 42') && warnings[0].includes('using TRACE'));
+  assert.ok(warnings[2].includes('Invalid value null') && warnings[2].includes('using WARN'));
+
+  assert.throws(() => new Logger({ fallbackLogLevel: 'loud' }), /Invalid fallbackLogLevel/);
+});
+
+test('Debug buffer backfills suppressed entries when an error is logged', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('step') || msg.includes('failure')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let bufferFlag = { size: 2, triggerLevel: 'error' };
+  const logger = new Logger({ outputFormat: 'json', levelCacheTtlMs: 0 });
+  logger.DEBUG_BUFFER_FLAG_KEY = 'debug-buffer';
+  logger.ldClient = createMockLDClient({
+    variation: async (flagKey) => flagKey === 'debug-buffer' ? bufferFlag : LogLevel.INFO
+  });
+
+  await logger.runWithContext(null, async () => {
+    await logger.debug('step 1');
+    await logger.trace('step 2');
+    await logger.debug('step 3');
+    await logger.warn('warn step');
+    assert.equal(loggedMessages.length, 1, 'Suppressed entries should not be written before the trigger');
+    await logger.error('failure');
+  });
+
+  const entries = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.deepEqual(entries.map(entry => [entry.level, entry.message, entry.backfilled]), [
+    ['warn', 'warn step', undefined],
+    ['trace', 'step 2', true],
+    ['debug', 'step 3', true],
+    ['error', 'failure', undefined]
+  ]);
+  assert.ok(entries[1].loggedAt);
+
+  // Each invocation starts with an empty buffer
+  loggedMessages.length = 0;
+  await logger.runWithContext(null, () => logger.debug('step from previous invocation'));
+  await logger.runWithContext(null, () => logger.error('failure without context'));
+  assert.deepEqual(loggedMessages.map(({ msg }) => JSON.parse(msg).message), ['failure without context']);
+
+  // The flag can disable the buffer
+  loggedMessages.length = 0;
+  bufferFlag = { enabled: false };
+  await logger.debug('step while disabled');
+  await logger.error('failure while disabled');
+  assert.deepEqual(loggedMessages.map(({ msg }) => JSON.parse(msg).message), ['failure while disabled']);
+});
+
+test('Secrets and PII are redacted before entries are written', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('Processing')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let redactionFlag = null;
+  const logger = new Logger({
+    outputFormat: 'json',
+    levelCacheTtlMs: 0,
+    redaction: { paths: ['body.ssn', 'items.*.pin'], keys: ['.*session.*'], values: [/ACCT-\d+/] }
+  });
+  logger.REDACTION_FLAG_KEY = 'redaction-rules';
+  logger.ldClient = createMockLDClient({
+    variation: async (flagKey) => flagKey === 'redaction-rules' ? redactionFlag : LogLevel.DEBUG
+  });
+
+  const event = {
+    headers: { Authorization: 'Bearer abc.def.ghi', Host: 'example.com' },
+    body: {
+      ssn: '123-45-6789',
+      card: '4111 1111 1111 1111',
+      note: 'Contact jane@example.com about ACCT-991',
+      requestedAt: '1700000000000'
+    },
+    items: [{ pin: 1234, sku: 'A1' }],
+    userSessionId: 'abc'
+  };
+  await logger.debug('Processing event', { event });
+
+  const [entry] = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.deepEqual(entry.event, {
+    headers: { Authorization: '[REDACTED]', Host: 'example.com' },
+    body: {
+      ssn: '123-45-6789',
+      card: '[REDACTED]',
+      note: 'Contact [REDACTED] about [REDACTED]',
+      requestedAt: '1700000000000'
+    },
+    items: [{ pin: 1234, sku: 'A1' }],
+    userSessionId: '[REDACTED]'
+  });
+  assert.equal(event.headers.Authorization, 'Bearer abc.def.ghi', 'Logged objects should not be modified');
+
+  // Paths are relative to each logged argument
+  await logger.debug('Processing body', event);
+  const bodyEntry = JSON.parse(loggedMessages[1].msg);
+  assert.equal(bodyEntry.body.ssn, '[REDACTED]');
+  assert.equal(bodyEntry.items[0].pin, '[REDACTED]');
+
+  // The flag adds rules without a deploy
+  redactionFlag = { keys: ['host'], values: ['\\bA\\d\\b'] };
+  await logger.debug('Processing again', event);
+  const flagEntry = JSON.parse(loggedMessages[2].msg);
+  assert.equal(flagEntry.headers.Host, '[REDACTED]');
+  assert.equal(flagEntry.items[0].sku, '[REDACTED]');
+  assert.equal(flagEntry.body.ssn, '[REDACTED]', 'Configured rules should still apply');
+
+  // Pretty output and the message text are redacted too
+  logger.setOutputFormat('pretty');
+  await logger.debug('Processing request from jane@example.com');
+  assert.match(loggedMessages[3].msg, /Processing request from \[REDACTED\]$/);
+});
+
+test('Built-in redaction rules can be disabled', async (t) => {
+  const logger = new Logger({ redaction: false });
+  const entry = logger.buildEntry(['Contact jane@example.com', { password: 'hunter2' }]);
+  assert.equal(entry.message, `Contact jane@example.com ${JSON.stringify({ password: 'hunter2' }, null, 2)}`);
+});
+
+test('Email redaction stays linear on long dotted strings', async (t) => {
+  const logger = new Logger();
+  for (const value of ['a.'.repeat(8192), 'a-'.repeat(8192), 'a.'.repeat(8192) + '@']) {
+    assert.ok(!logger.buildEntry([value]).message.includes('[REDACTED]'));
+  }
+  assert.equal(logger.buildEntry(['Contact jane.doe+orders@example.co.uk.']).message, 'Contact [REDACTED].');
+
+  // The parts of an address are bounded, so each position is only scanned a bounded number of
+  // characters ahead: local parts over 64 characters and domains over 255 are not matched
+  const redact = value => logger.buildEntry([value]).message;
+  assert.equal(redact(`${'a'.repeat(64)}@example.com`), '[REDACTED]');
+  assert.equal(redact(`${'a'.repeat(65)}@example.com`), `${'a'.repeat(65)}@example.com`);
+  assert.equal(redact(`jane@${'a'.repeat(251)}.com`), '[REDACTED]');
+  assert.equal(redact(`jane@${'a'.repeat(256)}.com`), `jane@${'a'.repeat(256)}.com`);
+});
+
+test('Errors are serialized with stack, cause chain and aggregated errors', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('failed')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const logger = new Logger({ outputFormat: 'json' });
+  logger.ldClient = createMockLDClient({ logLevel: LogLevel.INFO });
+
+  const rootCause = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED', port: 5432 });
+  const error = new Error('query failed', { cause: rootCause });
+  const aggregate = new AggregateError([new TypeError('bad input'), 'plain reason'], 'batch failed');
+  const circular = new Error('circular failed');
+  circular.cause = circular;
+
+  await logger.error('Lambda function failed:', error, aggregate, { details: { circular } });
+
+  const [entry] = loggedMessages.map(({ msg }) => JSON.parse(msg));
+  assert.equal(entry.message, 'Lambda function failed:');
+  assert.equal(entry.error.name, 'Error');
+  assert.equal(entry.error.message, 'query failed');
+  assert.ok(entry.error.stack.includes('query failed'));
+  assert.deepEqual(
+    { ...entry.error.cause, stack: undefined },
+    { name: 'Error', message: 'connection refused', code: 'ECONNREFUSED', port: 5432, stack: undefined }
+  );
+  assert.equal(entry.errors.length, 1);
+  assert.equal(entry.errors[0].name, 'AggregateError');
+  assert.equal(entry.errors[0].errors[0].name, 'TypeError');
+  assert.equal(entry.errors[0].errors[0].message, 'bad input');
+  assert.equal(entry.errors[0].errors[1], 'plain reason');
+  assert.equal(entry.details.circular.cause, '[Circular]');
+
+  // Pretty output includes the message and stack instead of {}
+  logger.setOutputFormat('pretty');
+  await logger.error('Lambda function failed:', error);
+  assert.ok(loggedMessages[1].msg.includes('"message": "query failed"'));
+  assert.ok(loggedMessages[1].msg.includes('"stack": "Error: query failed'));
+});
+
+test('Circular and non-JSON values are serialized safely', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('SDK response')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const logger = new Logger({ outputFormat: 'json', redaction: false });
+  logger.ldClient = createMockLDClient({ logLevel: LogLevel.DEBUG });
+
+  const response = { $metadata: { httpStatusCode: 200 }, request: {} };
+  response.request.response = response;
+  const shared = { id: 1 };
+
+  await logger.debug('SDK response', {
+    response,
+    shared: [shared, shared],
+    count: 9007199254740993n,
+    tags: new Set(['a', 'b']),
+    headers: new Map([['etag', 'abc'], [42, 'answer']]),
+    body: Buffer.from('hi'),
+    samples: new Float32Array([1.5, 2]),
+    createdAt: new Date('2025-01-29T14:25:30.123Z'),
+    callback: () => {}
+  });
+
+  assert.equal(loggedMessages.length, 1, 'Logging a circular structure should not throw');
+  const entry = JSON.parse(loggedMessages[0].msg);
+  assert.deepEqual(entry.response, { $metadata: { httpStatusCode: 200 }, request: { response: '[Circular]' } });
+  assert.deepEqual(entry.shared, [{ id: 1 }, { id: 1 }], 'Repeated references are not circular');
+  assert.equal(entry.count, '9007199254740993n');
+  assert.deepEqual(entry.tags, ['a', 'b']);
+  assert.deepEqual(entry.headers, { etag: 'abc', 42: 'answer' });
+  assert.deepEqual(entry.body, { type: 'Buffer', byteLength: 2, base64: 'aGk=' });
+  assert.deepEqual(entry.samples, [1.5, 2]);
+  assert.equal(entry.createdAt, '2025-01-29T14:25:30.123Z');
+  assert.equal('callback' in entry, false);
+
+  // formatMessage can be called directly with circular structures
+  assert.ok(logger.formatMessage(['Response:', response]).includes('"response": "[Circular]"'));
+});
+
+test('Entries are kept within field and entry size limits', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('payload')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let limitsFlag = null;
+  const logger = new Logger({
+    outputFormat: 'json',
+    levelCacheTtlMs: 0,
+    redaction: false,
+    limits: { maxFieldLength: 10, maxEntrySize: 1000 }
+  });
+  logger.LIMITS_FLAG_KEY = 'log-limits';
+  logger.ldClient = createMockLDClient({
+    variation: async (flagKey) => flagKey === 'log-limits' ? limitsFlag : LogLevel.INFO
+  });
+
+  await logger.info('payload', { note: 'abcdefghijklmnopqrstuvwxyz', items: Array(600).fill(1), id: 7 });
+  const entry = JSON.parse(loggedMessages[0].msg);
+  assert.equal(entry.note, 'abcdefghij…[truncated 16 chars]');
+  assert.equal(entry.items, '[truncated 1201 bytes]');
+  assert.equal(entry.id, 7);
+  assert.ok(Buffer.byteLength(JSON.stringify(entry)) < 1100);
+
+  // The flag overrides the configured limits
+  limitsFlag = { maxFieldLength: 100 };
+  await logger.info('payload', { note: 'abcdefghijklmnopqrstuvwxyz' });
+  assert.equal(JSON.parse(loggedMessages[1].msg).note, 'abcdefghijklmnopqrstuvwxyz');
+
+  // The message itself is truncated when it is too large on its own
+  limitsFlag = { maxFieldLength: 100000 };
+  await logger.info(`payload ${'x'.repeat(5000)}`);
+  const { message } = JSON.parse(loggedMessages[2].msg);
+  assert.ok(message.length < 1100);
+  assert.match(message, /…\[truncated \d+ chars\]$/);
+
+  // Many small fields are collapsed into a count when replacing them one by one isn't enough
+  limitsFlag = { maxEntrySize: 500 };
+  const event = Object.fromEntries(Array.from({ length: 300 }, (_, index) => [`field${index}`, index]));
+  await logger.child({ orderId: 'o-1' }).info('payload', event);
+  const collapsed = JSON.parse(loggedMessages[3].msg);
+  assert.equal(collapsed.message, 'payload');
+  assert.equal(collapsed.orderId, 'o-1', 'Bound fields are kept');
+  assert.equal(collapsed.field0, 0);
+  assert.equal(collapsed.field299, undefined);
+  assert.equal(Object.keys(collapsed).filter(key => key.startsWith('field')).length + collapsed._truncatedFields, 300);
+  assert.ok(Buffer.byteLength(loggedMessages[3].msg) < 600, 'The entry fits the limit');
+});
+
+test('Entries are written to transports with their own levels and flag toggles', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => loggedMessages.push({ level, msg }));
+  testLogger.add = (transport) => {
+    testLogger.transports.push(transport);
+    return testLogger;
+  };
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const allEntries = [];
+  const errorEntries = [];
+  const fileTransport = { name: 'file', log: () => {} };
+  const logger = new Logger({
+    levelCacheTtlMs: 0,
+    transports: [
+      fileTransport,
+      { name: 'memory', write: entry => allEntries.push(entry) },
+      { name: 'alerts', level: 'error', write: entry => errorEntries.push(entry) },
+      { name: 'broken', write: () => { throw new Error('disk full'); } }
+    ]
+  });
+  assert.deepEqual(testLogger.transports, [fileTransport], 'Winston transports are added to the logger');
+  assert.throws(() => logger.setTransports([{ name: 'nothing' }]), /write\(entry\) method/);
+  assert.throws(() => logger.setTransports([{ name: 'bad', level: 'loud', write() {} }]), /Invalid level/);
+
+  let transportsFlag = null;
+  logger.TRANSPORTS_FLAG_KEY = 'log-transports';
+  logger.ldClient = createMockLDClient({
+    variation: async (flagKey) => flagKey === 'log-transports' ? transportsFlag : LogLevel.DEBUG
+  });
+
+  await logger.child({ requestId: 'r1' }).info('Order placed');
+  await logger.error('Payment failed');
+  await logger.error('Payment failed again');
+
+  assert.equal(allEntries.length, 3);
+  assert.equal(allEntries[0].level, 'info');
+  assert.equal(allEntries[0].levelNumber, LogLevel.INFO);
+  assert.equal(allEntries[0].message, 'Order placed');
+  assert.equal(allEntries[0].requestId, 'r1');
+  assert.ok(allEntries[0].timestamp);
+  assert.deepEqual(errorEntries.map(entry => entry.message), ['Payment failed', 'Payment failed again']);
+
+  const failures = loggedMessages.filter(({ msg }) => msg.includes("Transport 'broken' failed"));
+  assert.equal(failures.length, 1, 'A failing sink is reported once and does not break logging');
+  assert.match(failures[0].msg, /disk full/);
+
+  // The flag disables named sinks and Winston transports, and re-enables them when changed
+  transportsFlag = { memory: false, file: false };
+  await logger.info('Flag applied');
+  assert.equal(allEntries.length, 3);
+  assert.equal(fileTransport.silent, true);
+
+  transportsFlag = { alerts: true };
+  await logger.info('Flag changed');
+  assert.equal(allEntries.length, 4);
+  assert.equal(fileTransport.silent, false);
+});
+
+test('Loggers can be tested offline with TestData or a flag file', async (t) => {
+  // Use the real SDK, which never connects to LaunchDarkly in these modes
+  const mockInit = LaunchDarkly.init;
+  const mockBasicLogger = LaunchDarkly.basicLogger;
+  LaunchDarkly.init = originalInit;
+  LaunchDarkly.basicLogger = originalBasicLogger;
+  t.after(() => {
+    LaunchDarkly.init = mockInit;
+    LaunchDarkly.basicLogger = mockBasicLogger;
+  });
+
+  const { logger, captured, setFlag } = await Logger.createForTesting({ flags: { 'log-level': 'info' } });
+  await logger.debug('Cache miss');
+  await logger.child({ orderId: 'o-1' }).info('Order placed');
+  await logger.error('Payment failed');
+
+  assert.deepEqual(captured.messages(), ['Order placed', 'Payment failed']);
+  assert.equal(captured.byLevel('error').length, 1);
+  assert.equal(captured.assertLogged('info', /order/i).orderId, 'o-1');
+  captured.assertNotLogged('debug');
+  assert.throws(() => captured.assertLogged('warn'), /Expected a warn entry/);
+
+  // Flag changes are picked up without patching anything
+  await setFlag('log-level', 'debug');
+  await logger.debug('Cache miss');
+  assert.deepEqual(captured.messages('debug'), ['Cache miss']);
+  await logger.close();
+
+  const flagFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ld-logger-')), 'flags.json');
+  fs.writeFileSync(flagFile, JSON.stringify({ flagValues: { 'log-level': 'warn' } }));
+  t.after(() => fs.rmSync(path.dirname(flagFile), { recursive: true, force: true }));
+
+  const offlineLogger = new Logger();
+  const fileCaptured = createCaptureSink();
+  await offlineLogger.initialize(undefined, { kind: 'user', key: 'test-user' }, {
+    offline: true,
+    flagFile,
+    logLevelFlagKey: 'log-level',
+    transports: [fileCaptured]
+  });
+  await offlineLogger.info('Order placed');
+  await offlineLogger.warn('Inventory low');
+  assert.deepEqual(fileCaptured.messages(), ['Inventory low']);
+  await offlineLogger.close();
+});
+
+test('Logger degrades to the fallback level when LaunchDarkly is unavailable', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => loggedMessages.push({ level, msg }));
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const originalLogLevel = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'warn';
+  t.after(() => {
+    if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = originalLogLevel;
+  });
+
+  const client = new EventEmitter();
+  let waitOptions;
+  let evaluations = 0;
+  Object.assign(client, {
+    waitForInitialization: async (options) => {
+      waitOptions = options;
+      throw new Error('timeout waiting for initialization');
+    },
+    variation: async () => {
+      evaluations++;
+      return LogLevel.DEBUG;
+    },
+    close: async () => {}
+  });
+
+  const logger = new Logger();
+  await logger.initialize(client, { kind: 'user', key: 'test-user' }, {
+    logLevelFlagKey: 'test-flag',
+    initTimeoutMs: 500
+  });
+  assert.deepEqual(waitOptions, { timeout: 0.5 });
+
+  const warnings = loggedMessages.filter(({ msg }) => msg.includes('not ready'));
+  assert.equal(warnings.length, 1, 'A single warning is written when degraded mode starts');
+  assert.match(warnings[0].msg, /logging at WARN/);
+
+  // Entries are filtered at the LOG_LEVEL fallback without evaluating flags
+  await logger.info('Order placed');
+  await logger.warn('Inventory low');
+  assert.equal(loggedMessages.some(({ msg }) => msg.includes('Order placed')), false);
+  assert.ok(loggedMessages.some(({ msg }) => msg.includes('Inventory low')));
+  assert.equal(evaluations, 0);
+
+  // Flag-driven levels apply once the client becomes ready
+  client.emit('ready');
+  await logger.debug('Cache miss');
+  assert.ok(loggedMessages.some(({ msg }) => msg.includes('Cache miss')));
+  assert.equal(loggedMessages.filter(({ msg }) => msg.includes('not ready')).length, 1);
+});
+
+test('SDK log level flag changes apply to forwarded SDK messages at runtime', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('LaunchDarkly SDK')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  // Use the real basicLogger so the adapter behaves as it does inside a client
+  const mockBasicLogger = LaunchDarkly.basicLogger;
+  LaunchDarkly.basicLogger = originalBasicLogger;
+  t.after(() => {
+    LaunchDarkly.basicLogger = mockBasicLogger;
+  });
+
+  const logger = new Logger();
+  let sdkLogLevel = 'info';
+  const client = new EventEmitter();
+  Object.assign(client, {
+    // A client created by the application with the logger's SDK logger adapter
+    sdkLogger: logger.createSdkLogger(),
+    waitForInitialization: async () => {},
+    variation: async (flagKey, context, defaultValue) => flagKey === 'sdk-log-level' ? sdkLogLevel : LogLevel.INFO,
+    close: async () => {}
+  });
+
+  await logger.initialize(client, { kind: 'user', key: 'test-user' }, {
+    logLevelFlagKey: 'app-log-level',
+    sdkLogLevelFlagKey: 'sdk-log-level'
+  });
+
+  client.sdkLogger.debug('Received patch event');
+  client.sdkLogger.info('Stream connected');
+  assert.equal(loggedMessages.length, 1);
+  assert.ok(loggedMessages[0].msg.endsWith('[LaunchDarkly SDK info] Stream connected'));
+
+  sdkLogLevel = 'debug';
+  client.emit('update:sdk-log-level', { key: 'sdk-log-level' });
+  await new Promise(resolve => setImmediate(resolve));
+  client.sdkLogger.debug('Received patch event');
+  assert.equal(loggedMessages.at(-1).level, 'debug');
+  assert.ok(loggedMessages.at(-1).msg.endsWith('[LaunchDarkly SDK debug] Received patch event'));
+
+  sdkLogLevel = 'none';
+  client.emit('update:sdk-log-level', { key: 'sdk-log-level' });
+  await new Promise(resolve => setImmediate(resolve));
+  client.sdkLogger.error('Stream failed');
+  assert.equal(loggedMessages.length, 2);
+});
+
+test('Entry counts are written as CloudWatch EMF metrics at invocation end', async (t) => {
+  const testLogger = createBasicMockLogger();
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const lines = [];
+  const logger = new Logger({ metrics: { write: line => lines.push(JSON.parse(line)) } });
+  const context = {
+    kind: 'multi',
+    service: { kind: 'service', key: 'orders-api', environment: 'production' },
+    user: { kind: 'user', key: 'test-user' }
+  };
+  const client = createMockLDClient({ logLevel: LogLevel.INFO });
+  const handler = withLogger(async () => {
+    await logger.info('Order placed', { event: 'order_placed' });
+    await logger.child({ event: 'payment_failed' }).error('Payment failed');
+    await logger.debug('Not written, not counted');
+    return 'ok';
+  }, { sdkKeyOrClient: client, context, logger, logLevelFlagKey: 'app-log-level' });
+
+  assert.equal(await handler({}, { awsRequestId: 'req-1' }), 'ok');
+  assert.equal(lines.length, 1);
+
+  const [emf] = lines;
+  const [directive] = emf._aws.CloudWatchMetrics;
+  assert.equal(directive.Namespace, 'orders-api');
+  assert.deepEqual(directive.Dimensions, [['Service', 'environment']]);
+  assert.ok(directive.Metrics.every(metric => metric.Unit === 'Count'));
+  assert.equal(emf.Service, 'orders-api');
+  assert.equal(emf.environment, 'production');
+  assert.equal(emf.InfoCount, 3, 'Invocation start and end entries are counted');
+  assert.equal(emf.ErrorCount, 1);
+  assert.equal(emf.DebugCount, 0);
+  assert.equal(emf['Event.order_placed'], 1);
+  assert.equal(emf['Event.payment_failed'], 1);
+
+  // Counts are reset after each flush, and close() writes any that are pending
+  await logger.close();
+  assert.equal(lines.length, 1, 'Nothing is written when nothing was logged');
+  await logger.warn('Shutting down');
+  await logger.close();
+  assert.equal(lines.length, 2);
+  assert.equal(lines[1].WarnCount, 1);
+  assert.equal(lines[1].InfoCount, 0);
+
+  // Event keys can't replace EMF metadata, dimensions or level counts
+  for (const event of ['_aws', 'Service', 'ErrorCount']) {
+    await logger.info('Colliding event', { event });
+  }
+  await logger.close();
+  const collisions = lines[2];
+  assert.equal(typeof collisions._aws, 'object');
+  assert.equal(collisions.Service, 'orders-api');
+  assert.equal(collisions.ErrorCount, 0);
+  assert.equal(collisions['Event.ErrorCount'], 1);
+
+  // The number of metrics stays within CloudWatch's limit of 100 per directive
+  for (let i = 0; i < 150; i++) {
+    await logger.info('Many events', { event: `event_${i}` });
+  }
+  await logger.info('Many events', { event: 'event_0' });
+  await logger.close();
+  const capped = lines[3];
+  assert.equal(capped._aws.CloudWatchMetrics[0].Metrics.length, 100);
+  assert.equal(capped['Event.event_0'], 2);
+  assert.equal(capped['Event.event_149'], undefined);
+  assert.equal(capped.WarnCount, 1, 'One warning is written about event keys that are not counted');
+});
+
+test('Log level changes are reported to callbacks and audited once per context', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('log_level_changed')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let levelFlag = 'info';
+  const reason = { kind: 'RULE_MATCH', ruleIndex: 0, ruleId: 'debug-orders' };
+  const logger = new Logger({ outputFormat: 'json', levelCacheTtlMs: 0 });
+  await logger.initialize({
+    waitForInitialization: async () => {},
+    variation: async () => {
+      throw new Error('variationDetail should be used when available');
+    },
+    variationDetail: async () => ({ value: levelFlag, variationIndex: 0, reason }),
+    close: async () => {}
+  }, { kind: 'user', key: 'user-1' }, { logLevelFlagKey: 'app-log-level' });
+
+  const changes = [];
+  const unsubscribe = logger.onLevelChange(change => changes.push(change));
+
+  await logger.info('Order placed');
+  assert.equal(changes.length, 0, 'The first value seen for a context is not a change');
+
+  levelFlag = 'debug';
+  await logger.info('Order placed');
+  await logger.info('Order shipped');
+  await logger.runWithContext({ kind: 'user', key: 'user-2' }, () => logger.info('Order placed'));
+
+  assert.equal(changes.length, 1, 'A change is reported once for the context it was seen for');
+  assert.equal(changes[0].oldLevel, LogLevel.INFO);
+  assert.equal(changes[0].newLevel, LogLevel.DEBUG);
+  assert.equal(changes[0].flagKey, 'app-log-level');
+  assert.deepEqual(changes[0].reason, reason);
+  assert.equal(changes[0].context.key, 'user-1');
+
+  assert.equal(loggedMessages.length, 1);
+  const audit = JSON.parse(loggedMessages[0].msg);
+  assert.equal(audit.message, 'Log level changed');
+  assert.equal(audit.oldLevel, 'INFO');
+  assert.equal(audit.newLevel, 'DEBUG');
+  assert.equal(audit.flagKey, 'app-log-level');
+  assert.deepEqual(audit.reason, reason);
+
+  // Audit entries are written even when the new level filters out INFO
+  unsubscribe();
+  levelFlag = 'error';
+  await logger.info('Order placed');
+  assert.equal(loggedMessages.length, 2);
+  assert.equal(JSON.parse(loggedMessages[1].msg).newLevel, 'ERROR');
+  assert.equal(changes.length, 1, 'Removed callbacks are not called');
+
+  // Per-module levels are audited per changed module, not by the level of the logger that evaluated the flag
+  logger.onLevelChange(change => changes.push(change));
+  levelFlag = { default: 'error', db: 5 };
+  await logger.info('Order placed');
+  levelFlag = { default: 'error', db: 2 };
+  await logger.info('Order placed');
+  const moduleAudits = loggedMessages.slice(2).map(({ msg }) => JSON.parse(msg));
+  assert.deepEqual(moduleAudits.map(({ module, oldLevel, newLevel }) => [module, oldLevel, newLevel]), [
+    ['db', 'ERROR', 'TRACE'],
+    ['db', 'TRACE', 'WARN']
+  ]);
+  assert.deepEqual(changes.slice(1).map(({ module, oldLevel, newLevel }) => [module, oldLevel, newLevel]), [
+    ['db', LogLevel.ERROR, LogLevel.TRACE],
+    ['db', LogLevel.TRACE, LogLevel.WARN]
+  ]);
+
+  // Audit entries don't carry the fields bound to the logger that evaluated the flag
+  levelFlag = { default: 'info', db: 2 };
+  await logger.child({ orderId: 'o-1', tenant: 'acme' }).forModule('db').warn('Slow query');
+  assert.equal(loggedMessages.length, 5);
+  const defaultAudit = JSON.parse(loggedMessages[4].msg);
+  assert.deepEqual([defaultAudit.oldLevel, defaultAudit.newLevel], ['ERROR', 'INFO']);
+  assert.equal('module' in defaultAudit, false);
+  assert.equal('orderId' in defaultAudit, false);
+  assert.equal('tenant' in defaultAudit, false);
+});
+
+test('Entries carry trace IDs from X-Ray and W3C trace headers', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('Order')) loggedMessages.push(JSON.parse(msg));
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const originalTraceId = process.env._X_AMZN_TRACE_ID;
+  t.after(() => {
+    if (originalTraceId === undefined) delete process.env._X_AMZN_TRACE_ID;
+    else process.env._X_AMZN_TRACE_ID = originalTraceId;
+  });
+  const xrayHeader = 'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1';
+  process.env._X_AMZN_TRACE_ID = xrayHeader;
+
+  const logger = new Logger({ outputFormat: 'json' });
+  logger.ldClient = createMockLDClient({ logLevel: LogLevel.INFO });
+
+  // Outside of an invocation wrapper, the X-Ray trace from the environment is used
+  await logger.info('Order placed');
+  assert.equal(loggedMessages[0].traceId, '1-5759e988-bd862e3fe1be46a994272793');
+  assert.equal(loggedMessages[0].spanId, '53995c3f42cd8ad8');
+  assert.deepEqual(logger.getTraceHeaders(), {
+    traceparent: '00-5759e988bd862e3fe1be46a994272793-53995c3f42cd8ad8-01',
+    'X-Amzn-Trace-Id': xrayHeader
+  });
+
+  // Incoming W3C headers of API Gateway and ALB events take precedence
+  const event = {
+    version: '2.0',
+    headers: {
+      Traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      tracestate: 'vendor=abc'
+    }
+  };
+  let outgoingHeaders;
+  const handler = withLogger(async () => {
+    await logger.info('Order shipped');
+    outgoingHeaders = logger.getTraceHeaders();
+  }, { sdkKeyOrClient: logger.ldClient, logger, logLevelFlagKey: 'app-log-level' });
+  await handler(event, { awsRequestId: 'req-1' });
+
+  const shipped = loggedMessages.find(entry => entry.message === 'Order shipped');
+  assert.equal(shipped.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+  assert.equal(shipped.spanId, '00f067aa0ba902b7');
+  assert.equal(shipped.awsRequestId, 'req-1');
+  assert.deepEqual(outgoingHeaders, {
+    traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+    tracestate: 'vendor=abc',
+    'X-Amzn-Trace-Id': xrayHeader
+  });
+
+  // Invalid traceparent headers are ignored
+  delete process.env._X_AMZN_TRACE_ID;
+  assert.equal(extractTraceContext({ headers: { traceparent: '00-' + '0'.repeat(32) + '-00f067aa0ba902b7-01' } }), null);
+  assert.deepEqual(createTraceHeaders(null), {});
+});
+
+test('LaunchDarkly contexts are built from Lambda event sources', async (t) => {
+  const service = { key: 'orders-api', environment: 'production' };
+
+  const httpApi = createContextFromEvent({
+    version: '2.0',
+    rawPath: '/orders',
+    requestContext: {
+      requestId: 'req-1',
+      stage: 'prod',
+      http: { method: 'POST', path: '/orders', sourceIp: '203.0.113.7' },
+      authorizer: { jwt: { claims: { sub: 'user-123', email: 'jane@example.com', plan: 'pro' } } }
+    }
+  }, { service, attributes: { user: { plan: 'plan' }, request: { stage: 'requestContext.stage' } } });
+
+  assert.equal(httpApi.kind, 'multi');
+  assert.deepEqual(httpApi.service, { kind: 'service', key: 'orders-api', environment: 'production' });
+  assert.deepEqual(httpApi.user, {
+    kind: 'user',
+    key: 'user-123',
+    email: 'jane@example.com',
+    plan: 'pro',
+    _meta: { privateAttributes: ['email'] }
+  });
+  assert.deepEqual(httpApi.request, {
+    kind: 'request',
+    key: 'req-1',
+    source: 'apigateway-http',
+    method: 'POST',
+    path: '/orders',
+    ip: '203.0.113.7',
+    stage: 'prod',
+    _meta: { privateAttributes: ['ip'] }
+  });
+
+  const restApi = createContextFromEvent({
+    httpMethod: 'GET',
+    path: '/orders/1',
+    requestContext: { requestId: 'req-2', identity: { sourceIp: '198.51.100.1' }, authorizer: { principalId: 'user-456' } }
+  }, { service });
+  assert.equal(restApi.request.source, 'apigateway-rest');
+  assert.equal(restApi.user.key, 'user-456');
+
+  const oidcClaims = Buffer.from(JSON.stringify({ sub: 'user-789', name: 'Jane' })).toString('base64url');
+  const alb = createContextFromEvent({
+    httpMethod: 'GET',
+    path: '/health',
+    requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:us-east-1:123456789012:targetgroup/tg/1' } },
+    headers: { 'x-forwarded-for': '192.0.2.10, 10.0.0.1', 'x-amzn-oidc-data': `e30.${oidcClaims}.sig` }
+  }, { service });
+  assert.equal(alb.request.source, 'alb');
+  assert.equal(alb.request.ip, '192.0.2.10');
+  assert.deepEqual(alb.user, { kind: 'user', key: 'user-789', name: 'Jane', _meta: { privateAttributes: ['name'] } });
+
+  const sqs = createContextFromEvent({
+    Records: [{ eventSource: 'aws:sqs', messageId: 'm-1', eventSourceARN: 'arn:aws:sqs:us-east-1:123456789012:orders' }]
+  }, { service });
+  assert.deepEqual(sqs.request, { kind: 'request', key: 'm-1', source: 'sqs', queue: 'orders', recordCount: 1 });
+  assert.equal('user' in sqs, false);
+
+  const sns = createContextFromEvent({
+    Records: [{ EventSource: 'aws:sns', Sns: { MessageId: 'n-1', TopicArn: 'arn:aws:sns:us-east-1:123456789012:alerts' } }]
+  }, { service });
+  assert.equal(sns.request.topic, 'alerts');
+
+  const eventBridge = createContextFromEvent({ id: 'e-1', source: 'orders', 'detail-type': 'OrderPlaced', detail: {} }, { service });
+  assert.deepEqual(eventBridge.request, { kind: 'request', key: 'e-1', source: 'eventbridge', eventSource: 'orders', detailType: 'OrderPlaced' });
+
+  const dynamodb = createContextFromEvent({
+    Records: [{
+      eventSource: 'aws:dynamodb',
+      eventID: 'd-1',
+      eventName: 'INSERT',
+      eventSourceARN: 'arn:aws:dynamodb:us-east-1:123456789012:table/Orders/stream/2025-01-01T00:00:00.000'
+    }]
+  }, { service });
+  assert.equal(dynamodb.request.table, 'Orders');
+
+  const s3 = createContextFromEvent({
+    Records: [{ eventSource: 'aws:s3', eventName: 'ObjectCreated:Put', s3: { bucket: { name: 'uploads' }, object: { key: 'jane/passport.jpg' } } }]
+  }, { service, privateAttributes: { request: [] } });
+  assert.equal(s3.request.bucket, 'uploads');
+  assert.equal(s3.request.objectKey, 'jane/passport.jpg');
+  assert.equal('_meta' in s3.request, false, 'Default private attributes can be replaced');
+
+  // withLogger evaluates flags with each invocation's event context
+  const evaluatedContexts = [];
+  const logger = new Logger();
+  const client = createMockLDClient({
+    variation: async (flagKey, context) => {
+      evaluatedContexts.push(context);
+      return LogLevel.INFO;
+    }
+  });
+  const handler = withLogger(async () => logger.getContext(), {
+    sdkKeyOrClient: client,
+    context: { kind: 'multi', service: { kind: 'service', key: 'orders-api' } },
+    eventContext: true,
+    logger,
+    logLevelFlagKey: 'app-log-level',
+    levelCacheTtlMs: 0
+  });
+  const invocationContext = await handler({ Records: [{ eventSource: 'aws:sqs', messageId: 'm-2' }] }, {});
+  assert.equal(invocationContext.service.key, 'orders-api');
+  assert.equal(invocationContext.request.key, 'm-2');
+  assert.ok(evaluatedContexts.some(context => context.request?.key === 'm-2'));
+});
+
+test('createLogger returns isolated instances without global Winston changes', async (t) => {
+  winston.createLogger = originalCreateLogger;
+  const originalAddColors = winston.addColors;
+  let addColorsCalls = 0;
+  winston.addColors = (...args) => {
+    addColorsCalls++;
+    return originalAddColors(...args);
+  };
+  t.after(() => {
+    winston.addColors = originalAddColors;
+  });
+
+  const originalFlagKey = process.env.LD_LOG_LEVEL_FLAG_KEY;
+  process.env.LD_LOG_LEVEL_FLAG_KEY = 'app-log-level';
+  t.after(() => {
+    if (originalFlagKey === undefined) delete process.env.LD_LOG_LEVEL_FLAG_KEY;
+    else process.env.LD_LOG_LEVEL_FLAG_KEY = originalFlagKey;
+  });
+
+  const appCaptured = createCaptureSink();
+  const libraryCaptured = createCaptureSink();
+  const app = createLogger({ transports: [appCaptured] });
+  const library = createLogger({
+    logLevelFlagKey: 'payments-lib-log-level',
+    context: { kind: 'service', key: 'payments-lib' },
+    outputFormat: 'json',
+    transports: [libraryCaptured]
+  });
+  assert.equal(addColorsCalls, 0, 'Creating loggers has no global Winston side effects');
+  assert.notEqual(app.logger, library.logger);
+
+  const evaluations = [];
+  const createClient = levels => ({
+    waitForInitialization: async () => {},
+    variation: async (flagKey, context, defaultValue) => {
+      evaluations.push({ flagKey, key: context.key });
+      return levels[flagKey] ?? defaultValue;
+    },
+    close: async () => {}
+  });
+  for (const instance of [app, library]) {
+    for (const transport of instance.logger.transports) transport.silent = true;
+  }
+
+  await app.initialize(createClient({ 'app-log-level': 'debug' }), { kind: 'service', key: 'orders-api' });
+  await library.initialize(createClient({ 'payments-lib-log-level': 'error' }));
+  appCaptured.clear();
+
+  assert.equal(app.FLAG_KEY, 'app-log-level');
+  assert.equal(library.FLAG_KEY, 'payments-lib-log-level', 'Factory flag keys take precedence over the environment');
+  assert.equal(library.getContext().key, 'payments-lib');
+
+  await app.debug('Cache miss');
+  await library.debug('Card tokenized');
+  await library.error('Card declined');
+
+  assert.deepEqual(appCaptured.messages(), ['Cache miss']);
+  assert.deepEqual(libraryCaptured.messages(), ['Card declined']);
+  assert.ok(evaluations.every(({ flagKey, key }) =>
+    (flagKey === 'app-log-level' && key === 'orders-api') || (flagKey === 'payments-lib-log-level' && key === 'payments-lib')));
+  assert.equal(library.outputFormat, 'json');
+  assert.equal(app.outputFormat, 'pretty');
+});
+
+test('Custom levels get their own methods, ranks and formatting', async () => {
+  const captured = createCaptureSink();
+  const logger = createLogger({
+    levels: {
+      audit: { rank: LogLevel.FATAL, emoji: '📜', alwaysLog: true },
+      security: { rank: 1.5, emoji: '🛡️', label: 'SEC' }
+    },
+    transports: [captured],
+    levelCacheTtlMs: 0
+  });
+  for (const transport of logger.logger.transports) transport.silent = true;
+
+  let flagValue = 'security';
+  await logger.initialize({
+    waitForInitialization: async () => {},
+    variation: async (flagKey, context, defaultValue) => flagKey === 'app-log-level' ? flagValue : defaultValue,
+    close: async () => {}
+  }, { kind: 'service', key: 'orders-api' }, { logLevelFlagKey: 'app-log-level' });
+  captured.clear();
+
+  await logger.security('Login throttled');
+  await logger.error('Card declined');
+  await logger.warn('Inventory low');
+  await logger.child({ actor: 'admin' }).audit('Refund approved');
+  assert.deepEqual(captured.messages(), ['Login throttled', 'Card declined', 'Refund approved']);
+  assert.equal(captured.assertLogged('security').levelNumber, 1.5);
+  assert.equal(captured.assertLogged('audit').actor, 'admin');
+
+  // Levels that are always logged ignore even the most restrictive flag value
+  flagValue = 'fatal';
+  captured.clear();
+  await logger.security('Login throttled');
+  await logger.audit('Refund approved');
+  captured.assertNotLogged('security');
+  assert.deepEqual(captured.messages('audit'), ['Refund approved']);
+
+  assert.equal(logger.formatEntry({ level: 'security', message: 'Login throttled', timestamp: 't' }), 't 🛡️ SEC: Login throttled');
+  assert.equal(logger.formatEntry({ level: 'audit', message: 'Refund approved', timestamp: 't' }), 't 📜 AUDIT: Refund approved');
+  assert.equal(new Logger().security, undefined, 'Custom levels belong to the logger that declared them');
+  assert.throws(() => createLogger({ levels: { info: { rank: 3 } } }), /Invalid custom level name 'info'/);
+  // Every property a logger assigns, including once initialized, is reserved
+  const properties = new Set([...Object.keys(logger), ...Object.keys(logger.forModule('db'))]);
+  for (const name of [...properties].filter(property => /^[a-z]/.test(property) && !(property in logger.levelDefinitions))) {
+    assert.throws(() => createLogger({ levels: { [name]: { rank: 2 } } }), /Invalid custom level name/, name);
+  }
+  assert.throws(() => createLogger({ levels: { log: { rank: 2 } } }), /Invalid custom level name 'log'/);
+  assert.throws(() => createLogger({ levels: { audit: { rank: 'high' } } }), /Invalid rank "high" for custom level 'audit'/);
+});
+
+test('Timers log durations and escalate slow ones to WARN', async () => {
+  const captured = createCaptureSink();
+  const logger = createLogger({
+    outputFormat: 'json',
+    timers: { level: 'info', thresholds: { default: 60000 } },
+    transports: [captured]
+  });
+  for (const transport of logger.logger.transports) transport.silent = true;
+
+  const flags = { 'app-log-level': 'info', 'timer-thresholds': { 'db.query': 0 } };
+  await logger.initialize({
+    waitForInitialization: async () => {},
+    variation: async (flagKey, context, defaultValue) => flags[flagKey] ?? defaultValue,
+    close: async () => {}
+  }, { kind: 'service', key: 'orders-api' }, { logLevelFlagKey: 'app-log-level', timersFlagKey: 'timer-thresholds' });
+
+  logger.time('render');
+  const renderMs = await logger.timeEnd('render', { template: 'receipt' });
+  const render = captured.assertLogged('info', 'render completed');
+  assert.equal(render.timer, 'render');
+  assert.equal(render.durationMs, renderMs);
+  assert.equal(render.template, 'receipt');
+  assert.equal(render.slow, undefined);
+
+  // The flag's per-label threshold takes precedence over the configured default
+  const done = logger.child({ orderId: 'o-1' }).startTimer('db.query');
+  await done('Query finished', { table: 'orders' });
+  const query = captured.assertLogged('warn', 'Query finished');
+  assert.deepEqual([query.timer, query.table, query.orderId, query.slow, query.thresholdMs], ['db.query', 'orders', 'o-1', true, 0]);
+  assert.equal(typeof query.durationMs, 'number');
+
+  assert.equal(await logger.timeEnd('render'), undefined);
+  captured.assertLogged('warn', "Timer 'render' does not exist");
+  assert.throws(() => logger.setTimers({ level: 'verbose' }), /Invalid timer level "verbose"/);
+});
+
+test('withLogger marks cold starts and warns when an invocation approaches its timeout', async () => {
+  // Load a fresh copy of the module so this is the first invocation it sees
+  const modulePath = require.resolve('../src/index');
+  const cached = require.cache[modulePath];
+  delete require.cache[modulePath];
+  const fresh = require('../src/index');
+  require.cache[modulePath] = cached;
+
+  const captured = fresh.createCaptureSink();
+  const logger = fresh.createLogger({ outputFormat: 'json', debugBuffer: true, transports: [captured] });
+  for (const transport of logger.logger.transports) transport.silent = true;
+
+  const handler = fresh.withLogger(async (event) => {
+    await logger.debug('Fetching inventory', { sku: 'sku-1' });
+    if (event.slow) await new Promise(resolve => setTimeout(resolve, 60));
+    return 'ok';
+  }, {
+    logger,
+    sdkKeyOrClient: createMockLDClient({ logLevel: LogLevel.INFO }),
+    context: { kind: 'service', key: 'test-service' },
+    logLevelFlagKey: 'app-log-level',
+    timeoutWarning: { fraction: 0.5 }
+  });
+  const deadline = () => {
+    const end = Date.now() + 80;
+    return { awsRequestId: 'req-1', getRemainingTimeInMillis: () => Math.max(end - Date.now(), 0) };
+  };
+
+  assert.equal(await handler({ slow: true }, deadline()), 'ok');
+  const started = captured.assertLogged('info', 'Invocation started');
+  assert.equal(started.coldStart, true);
+  assert.equal(typeof started.initDurationMs, 'number');
+  assert.equal(typeof started.ldInitDurationMs, 'number');
+
+  // The warning comes with the suppressed entries that led up to it
+  const messages = captured.messages();
+  const warningIndex = messages.indexOf('Invocation approaching timeout');
+  assert.equal(messages[warningIndex - 1], 'Fetching inventory');
+  assert.equal(captured.entries[warningIndex - 1].backfilled, true);
+  const warning = captured.entries[warningIndex];
+  assert.equal(warning.level, 'warn');
+  assert.equal(warning.awsRequestId, 'req-1');
+  assert.ok(warning.elapsedMs > 0 && warning.remainingMs < warning.timeoutMs);
+  assert.equal(typeof warning.ldInitDurationMs, 'number');
+
+  captured.clear();
+  assert.equal(await handler({}, deadline()), 'ok');
+  assert.ok(captured.entries.every(entry => entry.coldStart === false));
+  assert.equal(captured.assertLogged('info', 'Invocation started').initDurationMs, undefined);
+  assert.equal(captured.find('Invocation approaching timeout'), undefined);
+
+  assert.throws(() => fresh.withLogger(async () => {}, { timeoutWarning: { fraction: 2 } }), /Invalid timeoutWarning fraction 2/);
+  await logger.close();
+});
+
+test('flush waits for transports to drain and reports dropped entries', async (t) => {
+  const captured = createCaptureSink();
+  const shipped = [];
+  let flushCalls = 0;
+  const slowSink = {
+    name: 'slow',
+    write: entry => new Promise(resolve => setTimeout(() => resolve(shipped.push(entry.message)), 30)),
+    flush: async () => { flushCalls++; }
+  };
+  const logger = createLogger({ outputFormat: 'json', transports: [captured, slowSink] });
+  for (const transport of logger.logger.transports) transport.silent = true;
+  await logger.initialize(createMockLDClient({ logLevel: LogLevel.INFO }), { kind: 'service', key: 'orders-api' }, {
+    logLevelFlagKey: 'app-log-level'
+  });
+
+  await logger.info('Order placed');
+  await logger.child({ orderId: 'o-1' }).info('Order shipped');
+  assert.deepEqual(shipped, []);
+  assert.deepEqual(await logger.flush(), { drained: true, dropped: 0, unflushed: [] });
+  assert.deepEqual(shipped, ['Order placed', 'Order shipped']);
+  assert.equal(flushCalls, 1);
+
+  // Nothing to wait for resolves without polling
+  logger.setTransports([captured]);
+  const timers = t.mock.method(globalThis, 'setTimeout');
+  for (let i = 0; i < 5; i++) {
+    assert.deepEqual(await logger.flush(), { drained: true, dropped: 0, unflushed: [] });
+  }
+  assert.equal(timers.mock.callCount(), 0, 'Empty flushes should not schedule timers');
+  timers.mock.restore();
+
+  // Entries still pending when the timeout expires are reported as dropped, once
+  logger.setTransports([captured, { name: 'stuck', write: () => new Promise(() => {}) }]);
+  await logger.info('Order placed');
+  await logger.info('Order shipped');
+  captured.clear();
+  assert.deepEqual(await logger.flush(50), { drained: false, dropped: 2, unflushed: [] });
+  const warning = captured.assertLogged('warn', 'Transports did not finish writing within 50ms: 2 entries were dropped');
+  assert.equal(warning.dropped, 2);
+  assert.equal(logger.transportState.pending.size, 0);
+
+  // Sinks whose flush() hangs are named rather than counted as dropped entries
+  logger.setTransports([captured, { name: 'batch', write: () => {}, flush: () => new Promise(() => {}) }]);
+  captured.clear();
+  assert.deepEqual(await logger.flush(50), { drained: false, dropped: 0, unflushed: ['batch'] });
+  const flushWarning = captured.assertLogged('warn', "Transports did not finish writing within 50ms: flush() did not complete for 'batch'");
+  assert.deepEqual(flushWarning.unflushed, ['batch']);
+});
+
+test('SDK messages reach sinks and are redacted', async (t) => {
+  const mockBasicLogger = LaunchDarkly.basicLogger;
+  LaunchDarkly.basicLogger = originalBasicLogger;
+  t.after(() => { LaunchDarkly.basicLogger = mockBasicLogger; });
+
+  const captured = createCaptureSink();
+  const logger = createLogger({ transports: [captured] });
+  for (const transport of logger.logger.transports) transport.silent = true;
+
+  const sdkLogger = logger.createSdkLogger();
+  sdkLogger.warn('Stream error for alice@example.com');
+  sdkLogger.debug('Filtered out below the SDK log level');
+
+  assert.deepEqual(captured.messages(), ['[LaunchDarkly SDK warn] Stream error for [REDACTED]']);
+  assert.equal(captured.entries[0].level, 'warn');
+});
+
+test('A rejected SDK log level evaluation is logged instead of becoming an unhandled rejection', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => loggedMessages.push({ level, msg }));
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  let failing = false;
+  const client = new EventEmitter();
+  Object.assign(client, {
+    waitForInitialization: async () => {},
+    variation: async (flagKey) => {
+      if (failing && flagKey === 'sdk-log-level') throw new Error('evaluation failed');
+      return flagKey === 'sdk-log-level' ? 'info' : LogLevel.INFO;
+    },
+    close: async () => {}
+  });
+
+  const logger = new Logger();
+  await logger.initialize(client, { kind: 'user', key: 'test-user' }, {
+    logLevelFlagKey: 'app-log-level',
+    sdkLogLevelFlagKey: 'sdk-log-level'
+  });
+
+  failing = true;
+  client.emit('update:sdk-log-level', { key: 'sdk-log-level' });
+  await new Promise(resolve => setImmediate(resolve));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(unhandled, []);
+  const warning = loggedMessages.find(({ msg }) => msg.includes("Failed to apply SDK log level flag 'sdk-log-level'"));
+  assert.ok(warning, 'The failure is written as a warning');
+  assert.equal(warning.level, 'warn');
+});
+
+test('Log level changes are noticed across invocations with event contexts', async (t) => {
+  const loggedMessages = [];
+  const testLogger = createBasicMockLogger((level, msg) => {
+    if (msg.includes('log_level_changed')) loggedMessages.push({ level, msg });
+  });
+  winston.createLogger = (config) => {
+    testLogger.format = config.format;
+    return testLogger;
+  };
+
+  let levelFlag = 'info';
+  const logger = new Logger({ outputFormat: 'json' });
+  const changes = [];
+  logger.onLevelChange(change => changes.push(change));
+
+  const handler = withLogger(async () => {
+    await logger.warn('Message processed');
+  }, {
+    logger,
+    sdkKeyOrClient: createMockLDClient({ variation: async () => levelFlag }),
+    context: { kind: 'multi', service: { kind: 'service', key: 'orders-api' } },
+    eventContext: true,
+    logLevelFlagKey: 'log-level'
+  });
+
+  // Every invocation has its own request key, which must not hide changes
+  for (const [index, level] of ['info', 'debug', 'warn', 'info'].entries()) {
+    levelFlag = level;
+    await handler({
+      Records: [{ eventSource: 'aws:sqs', messageId: `m-${index}`, eventSourceARN: 'arn:aws:sqs:us-east-1:123456789012:orders' }]
+    }, { awsRequestId: `req-${index}` });
+  }
+
+  assert.deepEqual(changes.map(({ oldLevel, newLevel }) => [oldLevel, newLevel]), [
+    [LogLevel.INFO, LogLevel.DEBUG],
+    [LogLevel.DEBUG, LogLevel.WARN],
+    [LogLevel.WARN, LogLevel.INFO]
+  ]);
+  assert.deepEqual(loggedMessages.map(({ msg }) => JSON.parse(msg)).map(({ oldLevel, newLevel }) => [oldLevel, newLevel]), [
+    ['INFO', 'DEBUG'],
+    ['DEBUG', 'WARN'],
+    ['WARN', 'INFO']
+  ]);
+});
+
 // Cleanup test
 test('Cleanup', async (t) => {
   winston.createLogger = originalCreateLogger;
@@ -160,13 +160,34 @@ test("SDK messages are logged at correct Winston levels", async (t) => {
   LaunchDarkly.basicLogger = (options) => {
     capturedDestination = options.destination;
     return {
-      error: (msg) => capturedDestination("error", msg),
-      warn: (msg) => capturedDestination("warn", msg),
-      info: (msg) => capturedDestination("info", msg),
-      debug: (msg) => capturedDestination("debug", msg),
+      error: (msg) => capturedDestination.error(`error: [LaunchDarkly] ${msg}`),
+      warn: (msg) => capturedDestination.warn(`warn: [LaunchDarkly] ${msg}`),
+      info: (msg) => capturedDestination.info(`info: [LaunchDarkly] ${msg}`),
+      debug: (msg) => capturedDestination.debug(`debug: [LaunchDarkly] ${msg}`),
     };
   };
 
+  LaunchDarkly.init = (sdkKey, options = {}) => ({
+    waitForInitialization: async () => Promise.resolve(),
+    variation: async (key, context, defaultValue) => {
+      if (key === "test-log-level-flag") {
+        return LogLevel.DEBUG;
+      }
+      if (key === "test-sdk-log-level-flag") {
+        return "debug";
+      }
+      return defaultValue;
+    },
+    close: async () => Promise.resolve(),
+    logger: options.logger,
+    on: function () {
+      return this;
+    },
+    off: function () {
+      return this;
+    },
+  });
+
   try {
     await logger.initialize(
       "fake-sdk-key",
@@ -190,11 +211,12 @@ test("SDK messages are logged at correct Winston levels", async (t) => {
     // Clear initialization messages
     loggedMessages.length = 0;
 
-    // Send messages at different levels
-    capturedDestination("error", "SDK Error message");
-    capturedDestination("warn", "SDK Warning message");
-    capturedDestination("info", "SDK Info message");
-    capturedDestination("debug", "SDK Debug message");
+    // Send messages at different levels through the SDK logger
+    const sdkLogger = logger.ldClient.logger;
+    sdkLogger.error("SDK Error message");
+    sdkLogger.warn("SDK Warning message");
+    sdkLogger.info("SDK Info message");
+    sdkLogger.debug("SDK Debug message");
 
     // Verify messages were logged at correct levels
     const messagesByLevel = loggedMessages.reduce((acc, { level, message }) => {
@@ -244,7 +266,7 @@ test("SDK log level controls message filtering", async (t) => {
 
     const destination = (level, msg) => {
       if (shouldLog(level)) {
-        options.destination(level, msg);
+        options.destination[level](`${level}: [LaunchDarkly] ${msg}`);
       }
     };
 
@@ -429,33 +451,25 @@ test("Logger closes LaunchDarkly client", async (t) => {
   }
 });
 
-test("Logger properly creates and cleans up temporary client for SDK log level", async (t) => {
-  const { logger } = setupTest();
+test("Logger uses a single client and applies the SDK log level once it is ready", async (t) => {
+  const { logger, loggedMessages } = setupTest();
   process.env.LD_LOG_LEVEL_FLAG_KEY = "test-log-level-flag";
   process.env.LD_SDK_LOG_LEVEL_FLAG_KEY = "test-sdk-log-level-flag";
 
-  let tempClientCreated = false;
-  let tempClientClosed = false;
-  let mainClientCreated = false;
   let initCount = 0;
+  let sdkLogger;
+  let resolveInitialization;
 
-  // Track client creation and cleanup
   LaunchDarkly.init = (sdkKey, options = {}) => {
     initCount++;
-    if (initCount === 1) {
-      tempClientCreated = true;
-    } else {
-      mainClientCreated = true;
-    }
+    sdkLogger = options.logger;
 
     return {
-      waitForInitialization: async () => Promise.resolve(),
-      variation: async (key, context, defaultValue) => "debug",
-      close: async () => {
-        if (initCount === 1) {
-          tempClientClosed = true;
-        }
-      },
+      waitForInitialization: () => new Promise((resolve) => {
+        resolveInitialization = resolve;
+      }),
+      variation: async (key, context, defaultValue) => key === "test-sdk-log-level-flag" ? "debug" : defaultValue,
+      close: async () => Promise.resolve(),
       initialized: true,
       on: function () {
         return this;
@@ -467,7 +481,7 @@ test("Logger properly creates and cleans up temporary client for SDK log level",
   };
 
   try {
-    await logger.initialize(
+    const initialization = logger.initialize(
       "fake-sdk-key",
       { 
         kind: 'multi',
@@ -486,9 +500,19 @@ test("Logger properly creates and cleans up temporary client for SDK log level",
       }
     );
 
-    assert(tempClientCreated, "Temporary client should be created");
-    assert(tempClientClosed, "Temporary client should be closed");
-    assert(mainClientCreated, "Main client should be created");
+    // Until the client is ready, only conservative SDK levels are forwarded
+    sdkLogger.info("Opening stream connection");
+    sdkLogger.warn("Stream connection slow");
+    resolveInitialization();
+    await initialization;
+
+    sdkLogger.debug("Received put event");
+
+    const messages = loggedMessages.map((m) => m.message);
+    assert.equal(initCount, 1, "Only one client should be created");
+    assert(!messages.some((msg) => msg.includes("Opening stream connection")));
+    assert(messages.some((msg) => msg.includes("[LaunchDarkly SDK warn] Stream connection slow")));
+    assert(messages.some((msg) => msg.includes("[LaunchDarkly SDK debug] Received put event")));
   } finally {
     await cleanupTest(logger);
     delete process.env.LD_SDK_LOG_LEVEL_FLAG_KEY;